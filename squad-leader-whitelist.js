@@ -2,18 +2,350 @@ import BasePlugin from './base-plugin.js';
 import Sequelize from 'sequelize';
 import path from 'path';
 import fs from 'fs/promises';
+import http from 'http';
+import crypto from 'crypto';
 
-const { DataTypes, Op } = Sequelize;
+const { DataTypes, Op, Transaction } = Sequelize;
+
+// The serverID progress rows are stored under when whitelistScope is 'pooled'.
+const POOLED_SERVER_ID = 'pooled';
+
+// Markers around the hand-maintained part of the whitelist file. Everything between them is
+// carried over unchanged each time the plugin regenerates the file.
+const MANUAL_SECTION_START = '// BEGIN MANUAL ENTRIES';
+const MANUAL_SECTION_END = '// END MANUAL ENTRIES';
+
+// How many previous names are kept per player in WhitelistPlayer.nameHistory.
+const NAME_HISTORY_LENGTH = 10;
+
+// The language of DEFAULT_MESSAGES, which players can always choose.
+const DEFAULT_LANGUAGE = 'en';
+
+// Default English templates for every player-facing message. Placeholders in braces are
+// filled in by `formatMessage`; unknown placeholders are left as they are. Any template can
+// be overridden or translated through the `messages` option, keyed by language code.
+const DEFAULT_MESSAGES = {
+  header: '═════ SL WHITELIST ═════',
+  footer: '══════════════════════',
+  whitelisted: 'You are on the whitelist!',
+  notWhitelisted: 'No whitelist yet. Keep leading squads to earn more progress!',
+  noProgress:
+    'No whitelist progress found for your account.\nStart leading a squad to earn progress!',
+  progress: 'Progress: {percentage}%',
+  rank: 'Rank: {rank} of {total}',
+  rankWhitelisted: 'Rank: {rank} of {total} whitelisted players',
+  tier: 'Tier: {tier}',
+  nextTier: 'Next tier: {tier} in {points} points',
+  nextTierEstimate: 'Next tier: {tier} in {points} points (about {hours}h of leading)',
+  highestTier: 'Highest tier reached!',
+  timeToWhitelist: 'About {hours}h of leading to go',
+  removalGrace: 'Whitelist expires in {duration} unless you lead a squad!',
+  removalRisk: 'Whitelist at risk! You lose it below {removalThreshold} progress.',
+  removalWarning: '{risk}\nProgress: {progress}',
+  nowWhitelisted: 'You are now on the whitelist!',
+  nowWhitelistedTier: 'You are now on the whitelist!\nTier: {tier}',
+  promoted: 'Promoted to the {tier} tier!',
+  milestone: 'Progress Update: {percentage}%',
+  historyEmpty: 'No progress history found.',
+  historyJoined: 'Joined whitelist ({age} ago)',
+  historyLeft: 'Left whitelist ({age} ago)',
+  historyChange: '{delta} {reason}{times} ({age} ago)',
+  leaderboardEmpty: 'Nobody has earned progress yet.',
+  leaderboardEntry: '{position}. {name}: {percentage}%',
+  leaderboardEntryWhitelisted: '{position}. {name}: {percentage}% ✓',
+  lookupNoProgress: '{name} has no progress yet.',
+  lookupWhitelisted: '{name}\nOn the whitelist',
+  lookupWhitelistedTier: '{name}\nOn the whitelist ({tier})',
+  lookupNotWhitelisted: '{name}\nNot whitelisted yet',
+  playerNotFound: 'No online player matches "{query}".',
+  playerAmbiguous: '"{query}" matches {count} players: {names}. Be more specific.',
+  usage: 'Usage: !slwl [top | history | lang [code] | pause [days] | <player name>]',
+  seedingBonus: 'Seeding bonus active{bonus}!\nThanks for leading while the server seeds.',
+  seedingEnded:
+    'The server is live! Seeding bonus ended.\nThanks for seeding. Normal progress rates apply.',
+  languageCurrent:
+    'Language: {language}. Available: {languages}.\nUse !slwl lang <code> to change it.',
+  languageSet: 'Language set to {language}.',
+  languageUnknown: 'Unknown language "{language}". Available: {languages}.',
+  overrideAlways: 'You have a permanent whitelist spot.',
+  overrideNever: 'You cannot earn whitelist progress on this server.',
+  overrideFrozen: 'Your whitelist progress is frozen.',
+  overrideReason: 'Reason: {reason}',
+  overrideExpires: 'Ends in {duration}',
+  matchSummary: 'Match summary: led for {duration}, earned {progress} progress',
+  matchBonus: 'Completion bonus: +{bonus}',
+  matchPenaltyDisbanded: 'Squad disbanded early: -{penalty}',
+  matchPenaltyHandedOff: 'Squad lead handed off early: -{penalty}',
+  pauseStatus: 'Decay paused for another {duration}.\n{days} pause days left this month.',
+  pauseNone:
+    'Decay is not paused. {days} pause days left this month.\nUse !slwl pause <days> to pause it.',
+  pauseSet: 'Decay paused for {days} days.\n{remaining} pause days left this month.',
+  pauseInvalid: 'You can pause decay for 1 to {days} more days this month.',
+  pauseDisabled: 'Pausing decay is not enabled on this server.',
+  season: 'Season {season}',
+  seasonEnds: 'Season {season} (ends in {duration})',
+  seasonResult: 'Season {season}: rank {rank} of {total}, {percentage}%',
+  seasonEnded:
+    'Season {season} has ended! You finished rank {rank} of {total}.\nYou keep {carryOver}% of your progress.',
+  broadcastAdvert:
+    'Lead a squad to earn a free whitelist spot! About {hours}h of squad leading gets you on. Type !slwl to see your progress.',
+  broadcastNewWhitelisted:
+    'Congratulations to {names} on earning a whitelist spot by leading squads!',
+  broadcastLeaderCall:
+    'Squad leaders wanted! {reason} Lead an open squad to earn whitelist progress.{bonus}',
+  broadcastSquadless: '{count} players are not in a squad.',
+  broadcastFewSquads: 'Team {team} has only {count} open squads.',
+  broadcastSeedingBonus: ' Seeding bonus active{bonus}!',
+  broadcastMatchBonus: ' Lead until the end of the match for a +{bonus} bonus!'
+};
+
+// How inactive players lose progress, selected with `decayModel`.
+const DECAY_MODELS = {
+  LINEAR: 'linear', // decayPerHour, spread evenly over time.
+  PERCENTAGE: 'percentage', // decayPercentPerDay of the player's current progress.
+  STEPPED: 'stepped' // decayStepAmount once per full inactive day.
+};
 
 // A single source of truth for all events this plugin will handle.
 const EVENTS = {
   PLAYER_POSSESS: 'PLAYER_POSSESS',
   UPDATED_PLAYER_INFORMATION: 'UPDATED_PLAYER_INFORMATION',
   CHAT_COMMAND_SLWL: 'CHAT_COMMAND:slwl',
+  CHAT_COMMAND_SLWL_ADMIN: 'CHAT_COMMAND:slwl-admin',
+  PLAYER_DAMAGED: 'PLAYER_DAMAGED',
+  PLAYER_WOUNDED: 'PLAYER_WOUNDED',
+  PLAYER_DIED: 'PLAYER_DIED',
+  PLAYER_REVIVED: 'PLAYER_REVIVED',
   NEW_GAME: 'NEW_GAME',
-  END_GAME: 'END_GAME' // Added END_GAME event for future consideration based on discussion
+  END_GAME: 'END_GAME'
+};
+
+// Types of WhitelistOverride entries. `always` keeps a player on the whitelist regardless of
+// progress, `never` keeps them off it and stops them earning progress, and `frozen` stops their
+// progress from changing through gains or decay.
+const OVERRIDE_TYPES = {
+  ALWAYS: 'always',
+  NEVER: 'never',
+  FROZEN: 'frozen'
+};
+
+// Events that show a player has left main base, used by `activeMembersOnly`.
+const COMBAT_EVENTS = [
+  EVENTS.PLAYER_DAMAGED,
+  EVENTS.PLAYER_WOUNDED,
+  EVENTS.PLAYER_DIED,
+  EVENTS.PLAYER_REVIVED
+];
+
+// Schema migrations, applied in order by `runMigrations` to databases created by older versions
+// of the plugin. Fresh installs are created at the latest schema by `sync()` and skip them.
+// Each migration should be safe to re-run in case a previous attempt failed part way through.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Store progress values as DOUBLE so fractional increments are not truncated.',
+    async up(queryInterface, plugin) {
+      await queryInterface.changeColumn(plugin.WhitelistProgressModel.getTableName(), 'progress', {
+        type: DataTypes.DOUBLE,
+        allowNull: false,
+        defaultValue: 0
+      });
+
+      const eventTable = plugin.WhitelistProgressEventModel.getTableName();
+      if (await plugin.tableExists(eventTable)) {
+        await queryInterface.changeColumn(eventTable, 'delta', {
+          type: DataTypes.DOUBLE,
+          allowNull: false,
+          defaultValue: 0
+        });
+        await queryInterface.changeColumn(eventTable, 'progressAfter', {
+          type: DataTypes.DOUBLE,
+          allowNull: true
+        });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Key progress rows by server and record which server each change came from.',
+    async up(queryInterface, plugin) {
+      // The primary key changes, which SQLite cannot alter in place, so rebuild the table.
+      // Existing rows are assigned to the scope of the instance running the migration. Not
+      // every dialect can roll back table changes, so a rebuild that stopped part way is
+      // finished from the legacy table the next time the migration runs.
+      const progressTable = plugin.WhitelistProgressModel.getTableName();
+      const legacyTable = `${progressTable}_v1`;
+      const interrupted = await plugin.tableExists(legacyTable);
+      const columns = (await plugin.tableExists(progressTable))
+        ? await queryInterface.describeTable(progressTable)
+        : {};
+      if (!columns.serverID) {
+        if (!interrupted) await queryInterface.renameTable(progressTable, legacyTable);
+        await plugin.WhitelistProgressModel.sync();
+      }
+      if (interrupted || !columns.serverID) {
+        const quote = (identifier) => queryInterface.quoteIdentifier(identifier);
+        const copied = ['steamID', 'progress', 'lastProgressed', 'createdAt', 'updatedAt']
+          .map(quote)
+          .join(', ');
+        await plugin.sequelize.query(
+          `INSERT INTO ${quote(progressTable)} (${copied}, ${quote('serverID')}) ` +
+            `SELECT ${copied}, :serverID FROM ${quote(legacyTable)} AS legacy ` +
+            `WHERE NOT EXISTS (SELECT 1 FROM ${quote(progressTable)} AS existing ` +
+            `WHERE existing.${quote('steamID')} = legacy.${quote('steamID')} ` +
+            `AND existing.${quote('serverID')} = :serverID)`,
+          { replacements: { serverID: plugin.progressServerID } }
+        );
+        await queryInterface.dropTable(legacyTable);
+      }
+
+      const eventTable = plugin.WhitelistProgressEventModel.getTableName();
+      if (await plugin.tableExists(eventTable)) {
+        await plugin.addColumnIfMissing(eventTable, 'serverID', {
+          type: DataTypes.STRING,
+          allowNull: true
+        });
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Track whitelist membership separately from progress for removal hysteresis.',
+    async up(queryInterface, plugin) {
+      const progressTable = plugin.WhitelistProgressModel.getTableName();
+      await plugin.addColumnIfMissing(progressTable, 'whitelisted', {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      });
+      await plugin.addColumnIfMissing(progressTable, 'belowThresholdSince', {
+        type: DataTypes.DATE,
+        allowNull: true
+      });
+      await plugin.WhitelistProgressModel.update(
+        { whitelisted: true },
+        { where: { progress: { [Op.gte]: plugin.whitelistThreshold } }, silent: true }
+      );
+    }
+  },
+  {
+    version: 4,
+    description: 'Record when each player joined the whitelist.',
+    async up(queryInterface, plugin) {
+      await plugin.addColumnIfMissing(
+        plugin.WhitelistProgressModel.getTableName(),
+        'whitelistedAt',
+        {
+          type: DataTypes.DATE,
+          allowNull: true
+        }
+      );
+    }
+  },
+  {
+    version: 5,
+    description: 'Store the EOS ID alongside the SteamID on progress rows.',
+    async up(queryInterface, plugin) {
+      const progressTable = plugin.WhitelistProgressModel.getTableName();
+      await plugin.addColumnIfMissing(progressTable, 'eosID', {
+        type: DataTypes.STRING,
+        allowNull: true
+      });
+    }
+  },
+  {
+    version: 6,
+    description: "Store each player's chosen message language.",
+    async up(queryInterface, plugin) {
+      const playerTable = plugin.WhitelistPlayerModel.getTableName();
+      if (await plugin.tableExists(playerTable)) {
+        await plugin.addColumnIfMissing(playerTable, 'language', {
+          type: DataTypes.STRING,
+          allowNull: true
+        });
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Let players pause their decay with a monthly allowance.',
+    async up(queryInterface, plugin) {
+      const progressTable = plugin.WhitelistProgressModel.getTableName();
+      await plugin.addColumnIfMissing(progressTable, 'decayPausedUntil', {
+        type: DataTypes.DATE,
+        allowNull: true
+      });
+      await plugin.addColumnIfMissing(progressTable, 'pauseMonth', {
+        type: DataTypes.STRING,
+        allowNull: true
+      });
+      await plugin.addColumnIfMissing(progressTable, 'pauseDaysUsed', {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Record when stepped decay last charged each player, so missed steps catch up.',
+    async up(queryInterface, plugin) {
+      await plugin.addColumnIfMissing(
+        plugin.WhitelistProgressModel.getTableName(),
+        'lastDecayStepAt',
+        {
+          type: DataTypes.DATE,
+          allowNull: true
+        }
+      );
+    }
+  }
+];
+
+// Reasons recorded against each entry in the WhitelistProgressEvent ledger.
+const PROGRESS_REASONS = {
+  GAIN: 'gain',
+  DECAY: 'decay',
+  MANUAL: 'manual',
+  WHITELIST_GAINED: 'whitelist_gained',
+  WHITELIST_LOST: 'whitelist_lost',
+  IMPORT: 'import',
+  MATCH_BONUS: 'match_bonus',
+  MATCH_PENALTY: 'match_penalty',
+  SEASON_RESET: 'season_reset'
+};
+
+// Events that can be sent to the targets in `webhooks`.
+const WEBHOOK_EVENTS = {
+  WHITELIST_GAINED: 'whitelist_gained',
+  WHITELIST_LOST: 'whitelist_lost',
+  MILESTONE: 'milestone',
+  DAILY_SUMMARY: 'daily_summary',
+  WEEKLY_SUMMARY: 'weekly_summary',
+  ERROR: 'error'
+};
+
+// Embed colours used for each event in the 'discord' webhook format.
+const WEBHOOK_COLORS = {
+  whitelist_gained: 0x2ecc71,
+  whitelist_lost: 0xe67e22,
+  milestone: 0x3498db,
+  daily_summary: 0x9b59b6,
+  weekly_summary: 0x9b59b6,
+  error: 0xe74c3c
+};
+
+// Why a leader stopped leading during a match, as recorded by `trackMatchLeadership`.
+const LEADERSHIP_END_REASONS = {
+  DISBANDED: 'disbanded', // Their squad no longer exists.
+  HANDED_OFF: 'handed_off', // Their squad still exists under someone else.
+  LEFT: 'left', // They left the server.
+  INELIGIBLE: 'ineligible' // They still lead, but the squad stopped meeting the requirements.
 };
 
+// How imported progress is combined with a player's existing progress.
+const IMPORT_MODES = ['overwrite', 'max', 'add'];
+
 /**
  * ╔═══════════════════════════════════════════════════════════════╗
  * ║                SQUAD LEADER WHITELIST PLUGIN                  ║
@@ -26,23 +358,117 @@ const EVENTS = {
  *
  * It automatically tracks eligible squad leaders, awards them progressive whitelist
  * credit over time, and handles the decay of this progress. The plugin also
- * generates the `admin_whitelist.txt` file based on a configurable threshold.
+ * generates the `admin_whitelist.txt` file based on a configurable threshold, or on
+ * several tiers that each map to their own admin group.
  *
- * Players can check their own progress in-game using a chat command.
+ * Players can check their own progress in-game using a chat command. Admins can
+ * inspect and correct any player's progress from admin chat.
  *
  * CORE FEATURES:
  * - Persistent storage of player whitelist progress using SQLite.
  * - Automatic tracking of squad leaders meeting specific criteria.
- * - Progressive awarding of whitelist credit based on time.
- * - Decay of whitelist progress over time.
- * - Automatic generation of the `admin_whitelist.txt` file on a set interval.
- * - In-game player chat command `!slwl` to check progress and rank.
+ * - Progressive awarding of whitelist credit based on actual time spent leading, optionally weighted by squad fill,
+ *   squad type, server population and the commander role.
+ * - Optional seeding mode with its own player-count window, squad size and bonus progress.
+ * - Per-match tracking of leadership, with an optional bonus for leading through to the end of
+ *   the match, a penalty for disbanding or handing off early, and an end-of-match summary.
+ * - Session-based eligibility: a minimum continuous leadership time, squad members who never leave
+ *   main not counting toward squad size, and a daily progress cap.
+ * - Decay of whitelist progress over time, linear, as a percentage or in daily steps, with an
+ *   optional floor for long-standing whitelisted players, an optional removal margin and grace
+ *   period before a player loses the whitelist, and in-game warnings when they are close to
+ *   losing it. Players can pause their own decay for a few days a month with `!slwl pause`.
+ * - Automatic generation of the `admin_whitelist.txt` file on a set interval. The file is written
+ *   atomically, only when its content changes, and keeps a hand-maintained manual section.
+ *   It is also regenerated shortly after anyone joins or leaves the whitelist and at the start of
+ *   each match, after which the server is asked to reload its admin config.
+ * - Optional whitelist tiers (e.g. bronze/silver/gold), each with its own group and permissions.
+ * - In-game player chat command `!slwl` to check progress and rank, view the leaderboard and look
+ *   up other online players.
+ * - Audit ledger of every progress change, viewable in-game with `!slwl history`.
+ * - Optional local HTTP/JSON API for external tools such as Discord bots.
+ * - In-game admin chat command `!slwl-admin` to look up and adjust progress.
+ * - Configurable, translatable player messages with per-player language selection.
+ * - Optional seasons: on a schedule or on demand, final standings are archived and everyone keeps
+ *   a configurable percentage of their progress.
+ * - CSV/JSON import and export of progress, from admin chat or on mount, with merge modes and
+ *   a dry run.
+ * - Tracking of player names, name history, EOS IDs and first/last seen times, so players can
+ *   be found by name even when offline.
+ * - Optional outbound webhooks (Discord-compatible or plain JSON) for whitelist changes,
+ *   milestones, daily and weekly summaries and plugin errors, with retries and backoff.
+ * - Per-player overrides that always include a player, bar them from the whitelist, or freeze
+ *   their progress, optionally until an expiry date.
+ * - Optional server-wide broadcasts that advertise the program, congratulate newly whitelisted
+ *   players and call for squad leaders when many players are squadless or few squads are open.
  *
  * DATABASE SCHEMA:
  * A `WhitelistProgress` model with the following fields:
- * - steamID: Unique identifier for each player (primary key).
- * - progress: The player's current whitelist progress score.
+ * - steamID: Unique identifier for each player (primary key, with serverID).
+ * - serverID: The server the progress belongs to, or 'pooled' when `whitelistScope` is 'pooled'.
+ * - progress: The player's current whitelist progress score (DOUBLE, fractional).
  * - lastProgressed: Timestamp of the player's last progress gain.
+ * - lastServerID: The server that last credited the player.
+ * - whitelisted: Whether the player is currently on the whitelist. Set on reaching the threshold,
+ *   cleared only once progress stays below the removal threshold for the grace period.
+ * - belowThresholdSince: When a whitelisted player dropped below the removal threshold.
+ * - whitelistedAt: When the player last joined the whitelist (unknown for players whitelisted
+ *   before this column existed).
+ * - eosID: The player's EOS ID, where SquadJS provides one.
+ * - decayPausedUntil: When a decay pause started with `!slwl pause` ends.
+ * - pauseMonth / pauseDaysUsed: The UTC month (YYYY-MM) and the pause days used in it.
+ * - lastDecayStepAt: When the stepped decay model last charged the player's outstanding steps.
+ *
+ * A `WhitelistPlayer` model recording who each SteamID is, shared by all servers:
+ * - steamID: The player's SteamID (primary key).
+ * - eosID: The player's EOS ID, where SquadJS provides one.
+ * - name: The last name the player was seen with.
+ * - nameHistory: JSON array of earlier names, oldest first.
+ * - firstSeen / lastSeen: When the player was first and last seen on any server.
+ * - language: The message language the player chose with `!slwl lang`.
+ *
+ * A `WhitelistOverride` model holding admin exceptions to the normal rules:
+ * - steamID / serverID: The player and scope, as on `WhitelistProgress` (primary key).
+ * - type: always (whitelisted regardless of progress), never (not whitelisted and earns no
+ *   progress) or frozen (progress neither grows nor decays).
+ * - reason: Free-text reason, shown to the player by `!slwl`.
+ * - author: The admin SteamID that set the override.
+ * - expiresAt: When the override stops applying, or null for a permanent override.
+ *
+ * A `WhitelistSeason` model holding the current season of each progress scope:
+ * - serverID: The progress scope, as on `WhitelistProgress` (primary key).
+ * - season: The current season number, starting at 1.
+ * - startedAt: When the current season started.
+ *
+ * A `WhitelistSeasonResult` model archiving the final standings of every ended season:
+ * - season / serverID: The season and progress scope.
+ * - steamID: The player.
+ * - progress: Their progress when the season ended.
+ * - rank / total: Their rank, and the number of ranked players.
+ * - whitelisted: Whether they were on the whitelist when the season ended.
+ * - endedAt: When the season ended.
+ *
+ * A `WhitelistProgressEvent` model recording every progress change:
+ * - steamID: The player the change applies to.
+ * - delta: The change in progress (0 for threshold crossings).
+ * - progressAfter: The player's progress after the change.
+ * - reason: gain, decay, manual, import, match_bonus, match_penalty, season_reset,
+ *   whitelist_gained or whitelist_lost.
+ * - squadSize / playerCount: Squad size and server population at the time, where known.
+ * - author: The admin SteamID for manual adjustments.
+ * - serverID: The server the change was made on.
+ * - entries: How many raw events were merged into this row by compaction.
+ * - timestamp: When the change happened.
+ * Gain and decay events older than `historyCompactAfterHours` are merged into one row per
+ * player, reason and day. Events older than `historyRetentionDays` are deleted.
+ *
+ * A `WhitelistTaskLease` model used by several plugin instances sharing one database to make
+ * sure shared work (pooled decay, history maintenance and webhook summaries) runs once. Each
+ * instance still writes its own whitelist file.
+ *
+ * A `WhitelistSchemaVersion` model holding the schema version of the tables above. On mount,
+ * tables created by an older version of the plugin are upgraded in place by the migrations
+ * in `MIGRATIONS`; missing tables are created at the latest version.
  *
  * INSTALLATION:
  * Add this to your `config.json` plugins array:
@@ -52,18 +478,89 @@ const EVENTS = {
       "plugin": "SquadLeaderWhitelist",
       "enabled": true,
       "database": "sqlite",
+      "serverID": "",
+      "whitelistScope": "pooled",
       "managedWhitelistPath": "SquadGame/ServerConfig/slwhitelist.cfg",
       "managedWhitelistGroup": "sl_whitelist",
       "threshold": 100,
+      "tiers": [],
+      "removalMargin": 0,
+      "removalGraceHours": 0,
+      "removalWarningMargin": 0,
+      "removalWarningCooldownMinutes": 60,
       "progressPerHour": 50,
+      "progressIntervalSeconds": 30,
+      "maxCreditGapSeconds": 90,
       "decayPerHour": 5,
       "decayIntervalSeconds": 1000,
       "decayAfterHours": 2,
       "minPlayersForDecay": 60,
+      "decayModel": "linear",
+      "decayPercentPerDay": 5,
+      "decayStepAmount": 10,
+      "decayFloor": 0,
+      "decayFloorMinWhitelistedDays": 0,
+      "pauseMaxDaysPerMonth": 7,
       "minSquadMembers": 4,
       "onlyOpenSquads": true,
+      "minSessionMinutes": 0,
+      "creditQualifyingTime": true,
+      "activeMembersOnly": false,
+      "dailyProgressCap": 0,
+      "squadFillWeighting": false,
+      "maxSquadSize": 9,
+      "squadTypeMultipliers": [],
+      "populationMultipliers": [],
+      "commanderMultiplier": 0,
+      "seedingMode": false,
+      "seedingMinPlayers": 1,
+      "seedingMaxPlayers": 40,
+      "seedingLayerKeywords": ["seed"],
+      "seedingMinSquadMembers": 2,
+      "seedingMultiplier": 2,
+      "seedingBonusPerHour": 0,
+      "matchCompletionBonus": 0,
+      "matchMinLeadMinutes": 10,
+      "matchEarlyExitPenalty": 0,
+      "matchSummary": true,
       "debugLogs": false,
-      "whitelistUpdateMinutes": 30
+      "whitelistUpdateMinutes": 30,
+      "whitelistEntryComments": false,
+      "regenerateDebounceSeconds": 15,
+      "reloadAdminConfig": true,
+      "historyRetentionDays": 30,
+      "historyCompactAfterHours": 24,
+      "historyCommandEntries": 5,
+      "leaderboardSize": 5,
+      "seasonLengthDays": 0,
+      "seasonCarryOverPercent": 25,
+      "seasonHistoryShown": 3,
+      "milestoneStep": 10,
+      "defaultLanguage": "en",
+      "messages": {},
+      "adminPermission": "canseeadminchat",
+      "adminChatOnly": true,
+      "apiPort": 0,
+      "apiHost": "127.0.0.1",
+      "apiToken": "",
+      "exportDirectory": "slwl-exports",
+      "importPath": "",
+      "importMode": "max",
+      "importDryRun": false,
+      "webhooks": [],
+      "webhookMaxRetries": 5,
+      "webhookRetrySeconds": 5,
+      "webhookSummaryHour": 18,
+      "broadcastAdvertMinutes": 0,
+      "broadcastAdvertMinPlayers": 20,
+      "broadcastNewWhitelisted": false,
+      "broadcastNewWhitelistedCooldownMinutes": 5,
+      "broadcastNewWhitelistedMinPlayers": 10,
+      "broadcastLeaderCall": false,
+      "broadcastLeaderCallCooldownMinutes": 15,
+      "broadcastLeaderCallMinPlayers": 30,
+      "broadcastLeaderCallSquadless": 10,
+      "broadcastLeaderCallMinOpenSquads": 2
   }
   ```
  *
@@ -80,19 +577,85 @@ const EVENTS = {
  *
  * CHAT COMMANDS:
  * !slwl → Shows your current whitelist progress and rank.
+ * !slwl history → Shows the most recent changes to your progress.
+ * !slwl top → Shows the squad leaders with the most progress.
+ * !slwl <name> → Shows the progress and rank of an online player.
+ * !slwl lang [code] → Shows or sets the language of your plugin messages.
+ * !slwl pause [days] → Shows your decay pause, or pauses your decay for <days> days.
+ *
+ * ADMIN CHAT COMMANDS:
+ * !slwl-admin lookup <steamID or name>        → Shows a player's progress.
+ * !slwl-admin set <steamID or name> <value>   → Sets a player's progress to an exact value.
+ * !slwl-admin add <steamID or name> <amount>  → Adds progress to a player.
+ * !slwl-admin remove <steamID or name> <amount> → Removes progress from a player.
+ * !slwl-admin reset <steamID or name>         → Resets a player's progress to 0.
+ * !slwl-admin search <name>                   → Lists known players whose name contains <name>.
+ * !slwl-admin override always|never|frozen <steamID or name> [duration] [reason]
+ *                                             → Sets an override. duration is e.g. 12h, 7d or 4w;
+ *                                               without one the override is permanent. Names
+ *                                               with spaces must be given as a SteamID.
+ * !slwl-admin override clear <steamID or name> → Removes a player's override.
+ * !slwl-admin overrides                       → Lists active overrides.
+ * !slwl-admin season                         → Shows the current season.
+ * !slwl-admin season end [percent] confirm    → Ends the season now. percent overrides
+ *                                               `seasonCarryOverPercent`.
+ * !slwl-admin export [csv|json]               → Writes all progress to a file in `exportDirectory`.
+ * !slwl-admin import <file> [mode] [dryrun]   → Imports a CSV/JSON file from `exportDirectory`.
+ *   mode is overwrite, max or add (default `importMode`). With dryrun nothing is written.
+ * Players can be given by SteamID, EOS ID or name. Names are matched against online players
+ * first, then against every name the plugin has seen.
+ *
+ * HTTP API:
+ * Enabled by setting `apiPort` and `apiToken`. Every request must send the header
+ * `Authorization: Bearer <apiToken>`. All responses are JSON.
+ * GET  /leaderboard?limit=N          → Top players by progress (default 25, max 500).
+ * GET  /players?search=<name>         → Known players whose name contains <name>, with their progress.
+ * GET  /players/<steamID>            → A single player's progress, whitelist status and identity.
+ * POST /players/<steamID>/adjust     → Body {"action": "set|add|remove|reset", "amount": N, "author": "..."}.
+ * POST /whitelist/generate           → Regenerates the whitelist file immediately.
+ * GET  /config                       → The plugin's current configuration (secrets omitted).
  *
  * CONFIGURATION OPTIONS (WITH DEFAULTS):
  *
  * database               - The name of the database connector configured in `connectors`.
  * Default: 'sqlite'
+ * serverID               - A unique name for this server when several servers share one database.
+ * Defaults to the SquadJS server ID.
+ * Default: ''
+ * whitelistScope         - 'pooled' shares one progress score per player across all servers using the
+ * database. 'server' keeps a separate score and whitelist per server.
+ * Default: 'pooled'
  * managedWhitelistPath   - The file path for the output whitelist file.
  * Default: 'SquadGame/ServerConfig/slwhitelist.cfg'
  * managedWhitelistGroup  - The name of the group to be assigned to whitelisted players.
  * Default: 'sl_whitelist'
  * threshold              - The progress score a player must reach to be included in the whitelist file.
+ * Ignored when `tiers` is set, in which case the lowest tier's threshold applies.
  * Default: 100
+ * tiers                  - Optional whitelist tiers. Each player is written under the highest tier they
+ * have reached. `group` defaults to `<managedWhitelistGroup>_<name>` and `permissions` to 'reserve'.
+ * e.g. [{ "name": "Bronze", "threshold": 100 }, { "name": "Silver", "threshold": 300 },
+ *       { "name": "Gold", "threshold": 600, "group": "sl_gold", "permissions": "reserve,teamchange" }]
+ * Default: []
+ * removalMargin          - How far below the whitelist threshold a whitelisted player can fall before
+ * they start losing the whitelist.
+ * Default: 0
+ * removalGraceHours      - How long a player may stay below the removal threshold before they are removed.
+ * Default: 0
+ * removalWarningMargin   - Online whitelisted players within this many points of the removal threshold
+ * (or already in the grace period) are warned in-game. 0 disables the warning.
+ * Default: 0
+ * removalWarningCooldownMinutes - Minimum time in minutes between removal warnings to the same player.
+ * Default: 60
  * progressPerHour        - The amount of progress to be awarded to eligible squad leaders per hour.
  * Default: 50
+ * progressIntervalSeconds - The time in seconds between each progress tick. Leaders are credited for the
+ * actual time elapsed since they were last credited, so the interval only affects granularity.
+ * Default: 30
+ * maxCreditGapSeconds    - The longest gap in seconds between two credits that still counts as continuous
+ * leadership. Longer gaps (stalls, restarts, losing eligibility) start a new session with no credit
+ * for the gap. Must be larger than `progressIntervalSeconds`.
+ * Default: 90
  * decayPerHour           - The amount of progress to be decayed from all players per hour.
  * Default: 5
  * decayIntervalSeconds   - The time in seconds between each progress decay tick.
@@ -101,14 +664,163 @@ const EVENTS = {
  * Default: 2
  * minPlayersForDecay     - The minimum number of players on the server for decay to be active.
  * Default: 60
+ * decayModel             - How inactive players lose progress: 'linear' (`decayPerHour`), 'percentage'
+ * (`decayPercentPerDay` of their current progress) or 'stepped' (`decayStepAmount` per full inactive day).
+ * Default: 'linear'
+ * decayPercentPerDay     - Percentage of current progress lost per day with the 'percentage' model.
+ * Default: 5
+ * decayStepAmount        - Progress lost for each full inactive day with the 'stepped' model.
+ * Default: 10
+ * decayFloor             - Progress that whitelisted players do not decay below. 0 disables it.
+ * Default: 0
+ * decayFloorMinWhitelistedDays - Days a player must have been whitelisted before `decayFloor` protects them.
+ * Default: 0
+ * pauseMaxDaysPerMonth   - Days per UTC month each player can pause their decay with `!slwl pause`. 0 disables it.
+ * Default: 7
  * minSquadMembers        - The minimum number of members a squad must have for its leader to be eligible to earn progress.
  * Default: 4
  * onlyOpenSquads         - If true, only unlocked squads are eligible for progress.
  * Default: true
+ * minSessionMinutes      - Minimum continuous time in minutes as an eligible leader before credit is paid.
+ * Default: 0
+ * creditQualifyingTime   - If true, the time spent reaching `minSessionMinutes` is credited once it is
+ * reached. If false, only time after the minimum earns progress.
+ * Default: true
+ * activeMembersOnly      - If true, only squad members who have taken part in combat this match (dealt or
+ * taken damage, been wounded, died or revived someone) count toward squad size. The leader always counts.
+ * Default: false
+ * dailyProgressCap       - The most progress a player can earn per UTC day. 0 means no cap.
+ * Default: 0
+ * squadFillWeighting     - If true, progress is scaled by squad size / `maxSquadSize`.
+ * Default: false
+ * maxSquadSize           - The squad size that counts as a full squad for fill weighting.
+ * Default: 9
+ * squadTypeMultipliers   - Multipliers applied when the squad name contains a keyword. First match wins.
+ * e.g. [{ "keywords": ["armor", "tank"], "multiplier": 0.75 }, { "keywords": ["logi"], "multiplier": 0.5 }]
+ * Default: []
+ * populationMultipliers  - Multipliers by server population. The band with the highest `minPlayers` not
+ * above the current player count applies. e.g. [{ "minPlayers": 0, "multiplier": 0.5 }, { "minPlayers": 50, "multiplier": 1 }]
+ * Default: []
+ * commanderMultiplier    - Multiplier for the commander. 0 means the commander earns nothing; above 0 the
+ * commander is eligible regardless of squad size or lock state and squad fill weighting does not apply.
+ * Default: 0
+ * seedingMode            - Enables seeding mode. The server is seeding while its player count is within
+ * `seedingMinPlayers`..`seedingMaxPlayers`, or while the current layer name contains one of
+ * `seedingLayerKeywords`.
+ * Default: false
+ * seedingMinPlayers      - The lowest player count that counts as seeding.
+ * Default: 1
+ * seedingMaxPlayers      - The highest player count that counts as seeding.
+ * Default: 40
+ * seedingLayerKeywords   - Layer name keywords (case-insensitive) that mark a seeding layer.
+ * Default: ["seed"]
+ * seedingMinSquadMembers - Replaces `minSquadMembers` while seeding.
+ * Default: 2
+ * seedingMultiplier      - Progress multiplier while seeding. Replaces the population multiplier.
+ * Default: 2
+ * seedingBonusPerHour    - Flat progress per hour added while seeding, on top of the multiplied rate.
+ * Default: 0
+ * matchCompletionBonus   - Progress awarded at the end of a match to each leader who led an eligible squad
+ * through to the end and for at least `matchMinLeadMinutes` of it. 0 disables it.
+ * Default: 0
+ * matchMinLeadMinutes    - Minutes of eligible leadership in a match needed for the completion bonus.
+ * Default: 10
+ * matchEarlyExitPenalty  - Fraction (0-1) of the progress earned in a match that is removed at the end of it
+ * from leaders who disbanded their squad or handed off the lead and did not lead again. 0 disables it.
+ * Default: 0
+ * matchSummary           - Whether leaders are sent a summary of what they earned at the end of each match.
+ * Default: true
  * debugLogs              - Enables verbose debug logging to the server console.
  * Default: false
  * whitelistUpdateMinutes - The interval in minutes to generate the whitelist file.
  * Default: 30
+ * whitelistEntryComments - Append a comment with the player's name, progress and the date they joined
+ * the whitelist to each generated `Admin=` line.
+ * Default: false
+ * regenerateDebounceSeconds - Delay in seconds before regenerating the whitelist file after a player joins or
+ * leaves the whitelist or a new match starts. Further changes within the delay are batched. 0 disables.
+ * Default: 15
+ * reloadAdminConfig      - Run `AdminReloadServerConfig` over RCON after the whitelist file is rewritten.
+ * Default: true
+ * historyRetentionDays   - The number of days to keep progress history before deleting it.
+ * Default: 30
+ * historyCompactAfterHours - The age in hours after which gain and decay history is merged per day.
+ * Default: 24
+ * historyCommandEntries  - The number of history entries shown by `!slwl history`.
+ * Default: 5
+ * leaderboardSize        - The number of players shown by `!slwl top`.
+ * Default: 5
+ * seasonLengthDays       - Length of a season in days. At the end of each season, standings are archived and
+ * progress is reduced to `seasonCarryOverPercent`. 0 disables scheduled resets; admins can still end a season.
+ * Default: 0
+ * seasonCarryOverPercent - Percentage of progress players keep into the next season.
+ * Default: 25
+ * seasonHistoryShown     - The number of past seasons shown by `!slwl`.
+ * Default: 3
+ * milestoneStep          - Players who are not yet whitelisted are told their progress every time it
+ * crosses a multiple of this many points. 0 disables these updates.
+ * Default: 10
+ * defaultLanguage        - The language used for players who have not chosen one with `!slwl lang`.
+ * Default: 'en'
+ * messages               - Message templates by language code, e.g. { "de": { "whitelisted": "Du bist auf
+ * der Whitelist!" } }. Missing templates fall back to `defaultLanguage`, then to the built-in English
+ * text. See `DEFAULT_MESSAGES` for every key and its placeholders.
+ * Default: {}
+ * adminPermission        - The SquadJS admin permission required to use `!slwl-admin`.
+ * Default: 'canseeadminchat'
+ * adminChatOnly          - If true, `!slwl-admin` is only accepted from admin chat.
+ * Default: true
+ * apiPort                - Port for the local HTTP API. 0 disables the API.
+ * Default: 0
+ * apiHost                - Address the HTTP API listens on.
+ * Default: '127.0.0.1'
+ * apiToken               - Bearer token required for every API request. The API will not start without it.
+ * Default: ''
+ * exportDirectory        - Directory for `!slwl-admin export` files, and the only place `!slwl-admin import`
+ * reads from. Relative paths are resolved against the SquadJS directory.
+ * Default: 'slwl-exports'
+ * importPath             - A CSV or JSON file to import on mount. After a successful import it is renamed
+ * with an `.imported` suffix so it is not imported again. Empty disables it.
+ * Default: ''
+ * importMode             - How imported progress is combined with existing progress: 'overwrite', 'max'
+ * (keep the higher value) or 'add'.
+ * Default: 'max'
+ * importDryRun           - If true, the import on mount only logs what would change.
+ * Default: false
+ * webhooks               - Targets notified of whitelist events. `format` is 'discord' (default) or 'json',
+ * and `events` limits the events sent (all if omitted): whitelist_gained, whitelist_lost, milestone,
+ * daily_summary, weekly_summary and error.
+ * e.g. [{ "url": "https://discord.com/api/webhooks/...", "events": ["whitelist_gained", "weekly_summary"] }]
+ * Default: []
+ * webhookMaxRetries      - How many times a failed webhook delivery is retried before it is dropped.
+ * Default: 5
+ * webhookRetrySeconds    - Delay before the first retry. Each further retry waits twice as long.
+ * Default: 5
+ * webhookSummaryHour     - The UTC hour at which daily summaries (and on Mondays, weekly summaries) are sent.
+ * Default: 18
+ * broadcastAdvertMinutes - Minutes between broadcasts advertising the SL whitelist program. 0 disables them.
+ * Default: 0
+ * broadcastAdvertMinPlayers - Minimum server population for the advert broadcast.
+ * Default: 20
+ * broadcastNewWhitelisted - Whether players who join the whitelist are congratulated by name in a broadcast.
+ * Default: false
+ * broadcastNewWhitelistedCooldownMinutes - Minimum minutes between announcements. Players who join in the
+ * meantime are announced together in the next one.
+ * Default: 5
+ * broadcastNewWhitelistedMinPlayers - Minimum server population for announcements.
+ * Default: 10
+ * broadcastLeaderCall    - Whether to broadcast a call for squad leaders when squads are needed.
+ * Default: false
+ * broadcastLeaderCallCooldownMinutes - Minimum minutes between calls for squad leaders.
+ * Default: 15
+ * broadcastLeaderCallMinPlayers - Minimum server population for calls for squad leaders.
+ * Default: 30
+ * broadcastLeaderCallSquadless - Call for leaders when at least this many players are not in a squad. 0 disables
+ * this check.
+ * Default: 10
+ * broadcastLeaderCallMinOpenSquads - Call for leaders when a team has fewer than this many open squads. 0
+ * disables this check.
+ * Default: 2
  *
  * AUTHOR:
  * Slacker (Discord: real_slacker)
@@ -133,6 +845,18 @@ export default class SquadLeaderWhitelist extends BasePlugin {
         description: 'The Sequelize connector for persistent data storage.',
         default: 'sqlite'
       },
+      serverID: {
+        default: '',
+        type: 'string',
+        description:
+          'Unique name for this server when several servers share one database. Defaults to the SquadJS server ID.'
+      },
+      whitelistScope: {
+        default: POOLED_SERVER_ID,
+        type: 'string',
+        description:
+          "'pooled' shares progress across all servers on the database, 'server' keeps it per server."
+      },
       managedWhitelistPath: {
         default: 'SquadGame/ServerConfig/slwhitelist.cfg',
         type: 'string',
@@ -148,11 +872,51 @@ export default class SquadLeaderWhitelist extends BasePlugin {
         type: 'number',
         description: 'Progress score required to be on the whitelist.'
       },
+      tiers: {
+        default: [],
+        type: 'array',
+        description:
+          'Optional whitelist tiers, e.g. [{ "name": "Gold", "threshold": 600, "group": "sl_gold", "permissions": "reserve" }].'
+      },
+      removalMargin: {
+        default: 0,
+        type: 'number',
+        description:
+          'Points below the whitelist threshold a whitelisted player can fall before removal.'
+      },
+      removalGraceHours: {
+        default: 0,
+        type: 'number',
+        description:
+          'Hours a player may stay below the removal threshold before losing the whitelist.'
+      },
+      removalWarningMargin: {
+        default: 0,
+        type: 'number',
+        description:
+          'Warn online players within this many points of the removal threshold. 0 disables.'
+      },
+      removalWarningCooldownMinutes: {
+        default: 60,
+        type: 'number',
+        description: 'Minimum minutes between removal warnings to the same player.'
+      },
       progressPerHour: {
         default: 50,
         type: 'number',
         description: 'Points awarded per hour to eligible SLs.'
       },
+      progressIntervalSeconds: {
+        default: 30,
+        type: 'number',
+        description: 'Time in seconds between progress ticks.'
+      },
+      maxCreditGapSeconds: {
+        default: 90,
+        type: 'number',
+        description:
+          'Longest gap in seconds between credits that still counts as continuous leadership.'
+      },
       decayPerHour: {
         default: 5,
         type: 'number',
@@ -173,6 +937,36 @@ export default class SquadLeaderWhitelist extends BasePlugin {
         type: 'number',
         description: 'Minimum number of players on the server for decay to be active.'
       },
+      decayModel: {
+        default: 'linear',
+        type: 'string',
+        description: "Decay curve: 'linear', 'percentage' or 'stepped'."
+      },
+      decayPercentPerDay: {
+        default: 5,
+        type: 'number',
+        description: "Percentage of progress lost per day with the 'percentage' model."
+      },
+      decayStepAmount: {
+        default: 10,
+        type: 'number',
+        description: "Progress lost per full inactive day with the 'stepped' model."
+      },
+      decayFloor: {
+        default: 0,
+        type: 'number',
+        description: 'Progress that whitelisted players do not decay below. 0 disables it.'
+      },
+      decayFloorMinWhitelistedDays: {
+        default: 0,
+        type: 'number',
+        description: 'Days on the whitelist before decayFloor applies to a player.'
+      },
+      pauseMaxDaysPerMonth: {
+        default: 7,
+        type: 'number',
+        description: 'Days per month each player can pause their decay. 0 disables it.'
+      },
       minSquadMembers: {
         default: 4,
         type: 'number',
@@ -183,6 +977,109 @@ export default class SquadLeaderWhitelist extends BasePlugin {
         type: 'boolean',
         description: 'Only award progress to leaders of unlocked squads.'
       },
+      minSessionMinutes: {
+        default: 0,
+        type: 'number',
+        description: 'Minimum continuous minutes as an eligible leader before credit is paid.'
+      },
+      creditQualifyingTime: {
+        default: true,
+        type: 'boolean',
+        description: 'Credit the time spent reaching minSessionMinutes once it is reached.'
+      },
+      activeMembersOnly: {
+        default: false,
+        type: 'boolean',
+        description: 'Only count squad members who have taken part in combat this match.'
+      },
+      dailyProgressCap: {
+        default: 0,
+        type: 'number',
+        description: 'Most progress a player can earn per UTC day. 0 means no cap.'
+      },
+      squadFillWeighting: {
+        default: false,
+        type: 'boolean',
+        description: 'Scale progress by squad size relative to maxSquadSize.'
+      },
+      maxSquadSize: {
+        default: 9,
+        type: 'number',
+        description: 'Squad size that counts as a full squad for fill weighting.'
+      },
+      squadTypeMultipliers: {
+        default: [],
+        type: 'array',
+        description:
+          'Progress multipliers keyed on squad name keywords, e.g. [{ "keywords": ["armor"], "multiplier": 0.75 }].'
+      },
+      populationMultipliers: {
+        default: [],
+        type: 'array',
+        description:
+          'Progress multipliers by server population, e.g. [{ "minPlayers": 50, "multiplier": 1 }].'
+      },
+      commanderMultiplier: {
+        default: 0,
+        type: 'number',
+        description: 'Progress multiplier for the commander. 0 disables commander progress.'
+      },
+      seedingMode: {
+        default: false,
+        type: 'boolean',
+        description: 'Enables seeding mode with its own eligibility rules and bonus progress.'
+      },
+      seedingMinPlayers: {
+        default: 1,
+        type: 'number',
+        description: 'The lowest player count that counts as seeding.'
+      },
+      seedingMaxPlayers: {
+        default: 40,
+        type: 'number',
+        description: 'The highest player count that counts as seeding.'
+      },
+      seedingLayerKeywords: {
+        default: ['seed'],
+        type: 'array',
+        description: 'Layer name keywords that mark a seeding layer.'
+      },
+      seedingMinSquadMembers: {
+        default: 2,
+        type: 'number',
+        description: 'Minimum squad size for leader eligibility while seeding.'
+      },
+      seedingMultiplier: {
+        default: 2,
+        type: 'number',
+        description: 'Progress multiplier while seeding. Replaces the population multiplier.'
+      },
+      seedingBonusPerHour: {
+        default: 0,
+        type: 'number',
+        description: 'Flat progress per hour added while seeding.'
+      },
+      matchCompletionBonus: {
+        default: 0,
+        type: 'number',
+        description: 'Progress awarded to leaders who lead through to the end of a match.'
+      },
+      matchMinLeadMinutes: {
+        default: 10,
+        type: 'number',
+        description: 'Minutes of leadership in a match needed for the completion bonus.'
+      },
+      matchEarlyExitPenalty: {
+        default: 0,
+        type: 'number',
+        description:
+          'Fraction of match progress removed from leaders who disband or hand off early.'
+      },
+      matchSummary: {
+        default: true,
+        type: 'boolean',
+        description: 'Send leaders a summary of their progress at the end of each match.'
+      },
       debugLogs: {
         default: false,
         type: 'boolean',
@@ -192,382 +1089,4418 @@ export default class SquadLeaderWhitelist extends BasePlugin {
         default: 30,
         type: 'number',
         description: 'The interval in minutes to regenerate the whitelist file.'
-      }
-    };
-  }
-
-  constructor(server, options, connectors) {
-    super(server, options, connectors);
-    this.debug = this.options.debugLogs;
-    this.sequelize = this.options.database;
-    this.WhitelistProgressModel = null;
-    this.progressInterval = null;
-    this.decayInterval = null;
-    this.whitelistInterval = null; // New property to hold the whitelist generation interval.
-  }
-
-  // A single, consistent way to log messages with a debug prefix.
-  logDebug(...args) {
-    if (this.options && this.options.debugLogs) {
-      console.log('[SLWhitelister]', ...args);
-    }
-  }
-
-  async prepareToMount() {
-    this.logDebug('Starting prepareToMount process.');
-    this.logDebug('prepareToMount process completed.');
-  }
-
-  async mount() {
-    this.logDebug('Starting mount process...');
-
-    try {
-      this.logDebug('Defining WhitelistProgressModel schema...');
-      this.WhitelistProgressModel = this.sequelize.define(
-        'WhitelistProgress',
-        {
-          steamID: {
-            type: DataTypes.STRING,
-            primaryKey: true,
-            allowNull: false
-          },
-          progress: {
-            type: DataTypes.INTEGER,
-            allowNull: false,
-            defaultValue: 0
-          },
-          lastProgressed: {
-            type: DataTypes.DATE,
-            allowNull: false,
-            defaultValue: DataTypes.NOW
-          }
-        },
-        {
-          timestamps: true
-        }
-      );
-
-      this.logDebug('Syncing WhitelistProgress database table...');
-      await this.WhitelistProgressModel.sync();
-      this.logDebug('WhitelistProgress database table synced successfully.');
-
-      this.logDebug('Adding event listeners for UPDATED_PLAYER_INFORMATION and CHAT_COMMAND_SLWL.');
-      // Add event listeners.
-      this.server.on(EVENTS.UPDATED_PLAYER_INFORMATION, this.onPlayerInformationUpdate.bind(this));
-      this.server.on(EVENTS.CHAT_COMMAND_SLWL, this.onChatCommand.bind(this));
-      this.logDebug('Event listeners added.');
-
-      this.logDebug('Ensuring whitelist file exists and generating it on mount...');
-      // Ensure the whitelist file exists and generate it on mount.
-      await this.ensureWhitelistFileExists();
-      await this.generateWhitelistFile();
-      this.logDebug('Whitelist file existence and initial generation complete.');
-
-      this.logDebug('Starting progress tracking, decay, and whitelist generation intervals...');
-      // Start intervals for progress, decay, and whitelist generation.
-      this.startProgressTracking();
-      this.startDecayInterval();
-      this.startWhitelistGenerationInterval(); // New method for timed generation.
-      this.logDebug('All intervals started successfully.');
-    } catch (error) {
-      this.logDebug('[ERROR] Failed to mount plugin:', error);
-      this.logDebug('Mount process failed due to an error.');
-    }
-  }
-
-  async unmount() {
-    this.logDebug('Starting unmount process...');
-    this.logDebug('Removing event listeners...');
-    this.server.removeListener(
-      EVENTS.UPDATED_PLAYER_INFORMATION,
-      this.onPlayerInformationUpdate.bind(this)
-    );
-    this.server.removeListener(EVENTS.CHAT_COMMAND_SLWL, this.onChatCommand.bind(this));
-    this.logDebug('Event listeners removed.');
-
+      },
+      whitelistEntryComments: {
+        default: false,
+        type: 'boolean',
+        description: 'Append name, progress and date joined comments to generated Admin= lines.'
+      },
+      regenerateDebounceSeconds: {
+        default: 15,
+        type: 'number',
+        description:
+          'Seconds to wait before regenerating the whitelist after a membership change or new match. 0 disables.'
+      },
+      reloadAdminConfig: {
+        default: true,
+        type: 'boolean',
+        description: 'Run AdminReloadServerConfig over RCON after the whitelist file is rewritten.'
+      },
+      historyRetentionDays: {
+        default: 30,
+        type: 'number',
+        description: 'Number of days to keep progress history before deleting it.'
+      },
+      historyCompactAfterHours: {
+        default: 24,
+        type: 'number',
+        description: 'Age in hours after which gain and decay history is merged per day.'
+      },
+      historyCommandEntries: {
+        default: 5,
+        type: 'number',
+        description: 'Number of history entries shown by !slwl history.'
+      },
+      leaderboardSize: {
+        default: 5,
+        type: 'number',
+        description: 'Number of players shown by !slwl top.'
+      },
+      seasonLengthDays: {
+        default: 0,
+        type: 'number',
+        description: 'Season length in days. 0 disables scheduled season resets.'
+      },
+      seasonCarryOverPercent: {
+        default: 25,
+        type: 'number',
+        description: 'Percentage of progress players keep into the next season.'
+      },
+      seasonHistoryShown: {
+        default: 3,
+        type: 'number',
+        description: 'Number of past seasons shown by !slwl.'
+      },
+      milestoneStep: {
+        default: 10,
+        type: 'number',
+        description: 'Progress points between progress update messages. 0 disables them.'
+      },
+      defaultLanguage: {
+        default: 'en',
+        type: 'string',
+        description: 'Message language for players who have not chosen one.'
+      },
+      messages: {
+        default: {},
+        type: 'object',
+        description: 'Message templates by language code, overriding the built-in English text.'
+      },
+      adminPermission: {
+        default: 'canseeadminchat',
+        type: 'string',
+        description: 'The SquadJS admin permission required to use !slwl-admin.'
+      },
+      adminChatOnly: {
+        default: true,
+        type: 'boolean',
+        description: 'Only accept !slwl-admin commands sent in admin chat.'
+      },
+      apiPort: {
+        default: 0,
+        type: 'number',
+        description: 'Port for the local HTTP API. 0 disables the API.'
+      },
+      apiHost: {
+        default: '127.0.0.1',
+        type: 'string',
+        description: 'Address the HTTP API listens on.'
+      },
+      apiToken: {
+        default: '',
+        type: 'string',
+        description: 'Bearer token required for every HTTP API request.'
+      },
+      exportDirectory: {
+        default: 'slwl-exports',
+        type: 'string',
+        description: 'Directory for progress exports and admin imports.'
+      },
+      importPath: {
+        default: '',
+        type: 'string',
+        description: 'CSV or JSON file to import on mount. Empty disables it.'
+      },
+      importMode: {
+        default: 'max',
+        type: 'string',
+        description: "How imported progress is merged: 'overwrite', 'max' or 'add'."
+      },
+      importDryRun: {
+        default: false,
+        type: 'boolean',
+        description: 'Only log what the import on mount would change.'
+      },
+      webhooks: {
+        default: [],
+        type: 'array',
+        description:
+          'Webhook targets, e.g. [{ "url": "https://discord.com/api/webhooks/...", "format": "discord", "events": ["whitelist_gained"] }].'
+      },
+      webhookMaxRetries: {
+        default: 5,
+        type: 'number',
+        description: 'Retries for a failed webhook delivery before it is dropped.'
+      },
+      webhookRetrySeconds: {
+        default: 5,
+        type: 'number',
+        description: 'Delay before the first webhook retry, doubled for each further retry.'
+      },
+      webhookSummaryHour: {
+        default: 18,
+        type: 'number',
+        description: 'UTC hour at which daily and weekly webhook summaries are sent.'
+      },
+      broadcastAdvertMinutes: {
+        default: 0,
+        type: 'number',
+        description:
+          'Minutes between broadcasts advertising the SL whitelist program. 0 disables them.'
+      },
+      broadcastAdvertMinPlayers: {
+        default: 20,
+        type: 'number',
+        description: 'Minimum server population for the advert broadcast.'
+      },
+      broadcastNewWhitelisted: {
+        default: false,
+        type: 'boolean',
+        description: 'Congratulate players who join the whitelist by name in a broadcast.'
+      },
+      broadcastNewWhitelistedCooldownMinutes: {
+        default: 5,
+        type: 'number',
+        description: 'Minimum minutes between whitelist announcements.'
+      },
+      broadcastNewWhitelistedMinPlayers: {
+        default: 10,
+        type: 'number',
+        description: 'Minimum server population for whitelist announcements.'
+      },
+      broadcastLeaderCall: {
+        default: false,
+        type: 'boolean',
+        description: 'Broadcast a call for squad leaders when squads are needed.'
+      },
+      broadcastLeaderCallCooldownMinutes: {
+        default: 15,
+        type: 'number',
+        description: 'Minimum minutes between calls for squad leaders.'
+      },
+      broadcastLeaderCallMinPlayers: {
+        default: 30,
+        type: 'number',
+        description: 'Minimum server population for calls for squad leaders.'
+      },
+      broadcastLeaderCallSquadless: {
+        default: 10,
+        type: 'number',
+        description:
+          'Call for leaders when at least this many players are squadless. 0 disables this check.'
+      },
+      broadcastLeaderCallMinOpenSquads: {
+        default: 2,
+        type: 'number',
+        description:
+          'Call for leaders when a team has fewer open squads than this. 0 disables this check.'
+      }
+    };
+  }
+
+  constructor(server, options, connectors) {
+    super(server, options, connectors);
+    this.debug = this.options.debugLogs;
+    this.sequelize = this.options.database;
+    this.WhitelistProgressModel = null;
+    this.WhitelistProgressEventModel = null;
+    this.WhitelistSchemaVersionModel = null;
+    this.WhitelistTaskLeaseModel = null;
+    this.WhitelistPlayerModel = null;
+    this.WhitelistOverrideModel = null;
+    this.WhitelistSeasonModel = null;
+    this.WhitelistSeasonResultModel = null;
+    this.serverID = this.options.serverID || String(this.server.id || 1);
+    this.progressServerID =
+      this.options.whitelistScope === 'server' ? this.serverID : POOLED_SERVER_ID;
+    this.hasTiers = Array.isArray(this.options.tiers) && this.options.tiers.length > 0;
+    this.tiers = this.buildTiers();
+    this.whitelistThreshold = this.tiers[0].threshold; // Progress needed to be whitelisted at all.
+    this.removalThreshold = this.whitelistThreshold - this.options.removalMargin; // Needed to stay.
+    this.removalWarnedAt = new Map(); // SteamID → timestamp (ms) of the last removal warning.
+    this.progressInterval = null;
+    this.decayInterval = null;
+    this.whitelistInterval = null; // New property to hold the whitelist generation interval.
+    this.historyInterval = null;
+    this.regenerateTimeout = null; // Pending debounced whitelist regeneration.
+    this.apiServer = null;
+    this.webhookTimers = new Set(); // Pending webhook retries, cancelled on unmount.
+    this.unmounted = false; // Set on unmount so late webhook failures are not retried.
+    this.lastBroadcastAt = new Map(); // Broadcast type → timestamp (ms) it was last sent.
+    this.pendingAnnouncements = new Set(); // SteamIDs waiting to be congratulated in a broadcast.
+    // SteamID → { startedAt, lastCreditedAt, heldProgress } for each leader's current session.
+    // Timestamps are in ms; heldProgress is credit earned before reaching minSessionMinutes.
+    this.leadershipSessions = new Map();
+    this.activePlayers = new Set(); // SteamIDs seen in combat this match.
+    this.seedingActive = false; // Whether the last progress tick ran in seeding mode.
+    // SteamID → { steamID, name, teamID, squadID, leading, lastTrackedAt, leadMilliseconds,
+    // progressEarned, endReason } for everyone who led an eligible squad this match.
+    this.matchLeaders = new Map();
+    this.playerLanguages = new Map(); // SteamID → language code chosen with `!slwl lang`.
+    this.progressUpdateRunning = false;
+
+    // Bind handlers once so the same references can be removed on unmount.
+    this.onPlayerInformationUpdate = this.onPlayerInformationUpdate.bind(this);
+    this.onChatCommand = this.onChatCommand.bind(this);
+    this.onAdminCommand = this.onAdminCommand.bind(this);
+    this.onNewGame = this.onNewGame.bind(this);
+    this.onEndGame = this.onEndGame.bind(this);
+    this.onCombatActivity = this.onCombatActivity.bind(this);
+  }
+
+  /**
+   * Normalizes the `tiers` option into a list sorted by ascending threshold. Without tiers,
+   * a single tier built from `threshold` and `managedWhitelistGroup` keeps the original
+   * one-group whitelist.
+   * @returns {Array<{ name: string, threshold: number, group: string, permissions: string }>}
+   */
+  buildTiers() {
+    if (!this.hasTiers) {
+      return [
+        {
+          name: 'Whitelisted',
+          threshold: this.options.threshold,
+          group: this.options.managedWhitelistGroup,
+          permissions: 'reserve'
+        }
+      ];
+    }
+
+    return this.options.tiers
+      .map((tier) => ({
+        name: tier.name,
+        threshold: tier.threshold,
+        group:
+          tier.group || `${this.options.managedWhitelistGroup}_${String(tier.name).toLowerCase()}`,
+        permissions: tier.permissions || 'reserve'
+      }))
+      .sort((a, b) => a.threshold - b.threshold);
+  }
+
+  /**
+   * Returns the highest tier reached with the given progress, or null if not whitelisted.
+   * @param {number} progress - A progress score.
+   * @returns {?object}
+   */
+  getTier(progress) {
+    let reached = null;
+    for (const tier of this.tiers) {
+      if (progress >= tier.threshold) reached = tier;
+    }
+    return reached;
+  }
+
+  /**
+   * Returns the next tier above the given progress, or null if the top tier is reached.
+   * @param {number} progress - A progress score.
+   * @returns {?object}
+   */
+  getNextTier(progress) {
+    return this.tiers.find((tier) => progress < tier.threshold) || null;
+  }
+
+  // A single, consistent way to log messages with a debug prefix.
+  logDebug(...args) {
+    if (this.options && this.options.debugLogs) {
+      console.log('[SLWhitelister]', ...args);
+    }
+  }
+
+  async prepareToMount() {
+    this.logDebug('Starting prepareToMount process.');
+    this.logDebug('prepareToMount process completed.');
+  }
+
+  async mount() {
+    this.logDebug('Starting mount process...');
+    this.unmounted = false;
+
+    try {
+      this.logDebug('Defining WhitelistProgressModel schema...');
+      this.WhitelistProgressModel = this.sequelize.define(
+        'WhitelistProgress',
+        {
+          steamID: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            allowNull: false
+          },
+          serverID: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            allowNull: false,
+            defaultValue: POOLED_SERVER_ID
+          },
+          progress: {
+            type: DataTypes.DOUBLE,
+            allowNull: false,
+            defaultValue: 0
+          },
+          lastProgressed: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+          },
+          lastServerID: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          whitelisted: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+          },
+          belowThresholdSince: {
+            type: DataTypes.DATE,
+            allowNull: true
+          },
+          whitelistedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+          },
+          eosID: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          decayPausedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true
+          },
+          pauseMonth: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          pauseDaysUsed: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+          },
+          lastDecayStepAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+          }
+        },
+        {
+          timestamps: true,
+          indexes: [{ fields: ['eosID'] }]
+        }
+      );
+
+      this.logDebug('Defining WhitelistPlayerModel schema...');
+      this.WhitelistPlayerModel = this.sequelize.define(
+        'WhitelistPlayer',
+        {
+          steamID: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            allowNull: false
+          },
+          eosID: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          name: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          nameHistory: {
+            type: DataTypes.TEXT,
+            allowNull: true
+          },
+          firstSeen: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+          },
+          lastSeen: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+          },
+          language: {
+            type: DataTypes.STRING,
+            allowNull: true
+          }
+        },
+        {
+          timestamps: false,
+          indexes: [{ fields: ['eosID'] }]
+        }
+      );
+
+      this.logDebug('Defining WhitelistOverrideModel schema...');
+      this.WhitelistOverrideModel = this.sequelize.define(
+        'WhitelistOverride',
+        {
+          steamID: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            allowNull: false
+          },
+          serverID: {
+            type: DataTypes.STRING,
+            primaryKey: true,
+            allowNull: false,
+            defaultValue: POOLED_SERVER_ID
+          },
+          type: {
+            type: DataTypes.STRING,
+            allowNull: false
+          },
+          reason: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          author: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+          }
+        },
+        {
+          timestamps: true
+        }
+      );
+
+      this.logDebug('Defining WhitelistSeasonModel schema...');
+      this.WhitelistSeasonModel = this.sequelize.define(
+        'WhitelistSeason',
+        {
+          serverID: {
+            type: DataTypes.STRING,
+            primaryKey: true
+          },
+          season: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1
+          },
+          startedAt: {
+            type: DataTypes.DATE,
+            allowNull: false
+          }
+        },
+        {
+          timestamps: false
+        }
+      );
+
+      this.logDebug('Defining WhitelistSeasonResultModel schema...');
+      this.WhitelistSeasonResultModel = this.sequelize.define(
+        'WhitelistSeasonResult',
+        {
+          id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+          },
+          season: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+          },
+          serverID: {
+            type: DataTypes.STRING,
+            allowNull: false
+          },
+          steamID: {
+            type: DataTypes.STRING,
+            allowNull: false
+          },
+          progress: {
+            type: DataTypes.DOUBLE,
+            allowNull: false
+          },
+          rank: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+          },
+          total: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+          },
+          whitelisted: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+          },
+          endedAt: {
+            type: DataTypes.DATE,
+            allowNull: false
+          }
+        },
+        {
+          timestamps: false,
+          indexes: [{ fields: ['steamID', 'serverID'] }, { fields: ['serverID', 'season'] }]
+        }
+      );
+
+      this.logDebug('Defining WhitelistProgressEventModel schema...');
+      this.WhitelistProgressEventModel = this.sequelize.define(
+        'WhitelistProgressEvent',
+        {
+          id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+          },
+          steamID: {
+            type: DataTypes.STRING,
+            allowNull: false
+          },
+          delta: {
+            type: DataTypes.DOUBLE,
+            allowNull: false,
+            defaultValue: 0
+          },
+          progressAfter: {
+            type: DataTypes.DOUBLE,
+            allowNull: true
+          },
+          reason: {
+            type: DataTypes.STRING,
+            allowNull: false
+          },
+          squadSize: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+          },
+          playerCount: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+          },
+          author: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          serverID: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          entries: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1
+          },
+          timestamp: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+          }
+        },
+        {
+          timestamps: false,
+          indexes: [{ fields: ['steamID', 'timestamp'] }, { fields: ['timestamp'] }]
+        }
+      );
+
+      this.logDebug('Defining WhitelistTaskLeaseModel schema...');
+      this.WhitelistTaskLeaseModel = this.sequelize.define(
+        'WhitelistTaskLease',
+        {
+          name: {
+            type: DataTypes.STRING,
+            primaryKey: true
+          },
+          holder: {
+            type: DataTypes.STRING,
+            allowNull: true
+          },
+          lastRunAt: {
+            type: DataTypes.DATE,
+            allowNull: false
+          }
+        },
+        {
+          timestamps: false
+        }
+      );
+
+      this.logDebug('Defining WhitelistSchemaVersionModel schema...');
+      this.WhitelistSchemaVersionModel = this.sequelize.define(
+        'WhitelistSchemaVersion',
+        {
+          id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true
+          },
+          version: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+          }
+        },
+        {
+          timestamps: true
+        }
+      );
+
+      this.logDebug('Running database migrations...');
+      await this.runMigrations();
+      this.logDebug('Database schema is up to date.');
+
+      // The first instance to mount in a scope starts its season 1.
+      await this.WhitelistSeasonModel.bulkCreate(
+        [{ serverID: this.progressServerID, season: 1, startedAt: new Date() }],
+        { ignoreDuplicates: true }
+      );
+
+      if (this.options.importPath) {
+        await this.importOnMount();
+      }
+
+      this.logDebug(
+        'Adding event listeners for UPDATED_PLAYER_INFORMATION, CHAT_COMMAND_SLWL, CHAT_COMMAND_SLWL_ADMIN, NEW_GAME and END_GAME.'
+      );
+      // Add event listeners.
+      this.server.on(EVENTS.UPDATED_PLAYER_INFORMATION, this.onPlayerInformationUpdate);
+      this.server.on(EVENTS.CHAT_COMMAND_SLWL, this.onChatCommand);
+      this.server.on(EVENTS.CHAT_COMMAND_SLWL_ADMIN, this.onAdminCommand);
+      this.server.on(EVENTS.NEW_GAME, this.onNewGame);
+      this.server.on(EVENTS.END_GAME, this.onEndGame);
+      for (const event of COMBAT_EVENTS) {
+        this.server.on(event, this.onCombatActivity);
+      }
+      this.logDebug('Event listeners added.');
+
+      this.logDebug('Ensuring whitelist file exists and generating it on mount...');
+      // Ensure the whitelist file exists and generate it on mount.
+      await this.ensureWhitelistFileExists();
+      await this.generateWhitelistFile();
+      this.logDebug('Whitelist file existence and initial generation complete.');
+
+      this.logDebug('Starting progress tracking, decay, and whitelist generation intervals...');
+      // Start intervals for progress, decay, and whitelist generation.
+      this.startProgressTracking();
+      this.startDecayInterval();
+      this.startWhitelistGenerationInterval(); // New method for timed generation.
+      this.startHistoryMaintenanceInterval();
+      await this.pruneProgressHistory();
+      await this.checkSeasonEnd();
+      await this.sendProgressSummaries();
+      await this.startApiServer();
+      this.logDebug('All intervals started successfully.');
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to mount plugin:', error);
+      this.logDebug('Mount process failed due to an error.');
+      this.emitWebhookEvent(WEBHOOK_EVENTS.ERROR, {
+        title: 'SL Whitelist failed to start',
+        description: String(error && error.message ? error.message : error)
+      });
+    }
+  }
+
+  async unmount() {
+    this.logDebug('Starting unmount process...');
+    this.unmounted = true;
+    this.logDebug('Removing event listeners...');
+    this.server.removeListener(EVENTS.UPDATED_PLAYER_INFORMATION, this.onPlayerInformationUpdate);
+    this.server.removeListener(EVENTS.CHAT_COMMAND_SLWL, this.onChatCommand);
+    this.server.removeListener(EVENTS.CHAT_COMMAND_SLWL_ADMIN, this.onAdminCommand);
+    this.server.removeListener(EVENTS.NEW_GAME, this.onNewGame);
+    this.server.removeListener(EVENTS.END_GAME, this.onEndGame);
+    for (const event of COMBAT_EVENTS) {
+      this.server.removeListener(event, this.onCombatActivity);
+    }
+    this.logDebug('Event listeners removed.');
+
     this.logDebug('Clearing all intervals...');
     clearInterval(this.progressInterval);
     clearInterval(this.decayInterval);
     clearInterval(this.whitelistInterval); // Clear the new whitelist generation interval.
+    clearInterval(this.historyInterval);
+    clearTimeout(this.regenerateTimeout);
+    this.regenerateTimeout = null;
+    for (const timer of this.webhookTimers) clearTimeout(timer);
+    this.webhookTimers.clear();
     this.logDebug('All intervals cleared.');
+
+    if (this.apiServer) {
+      this.logDebug('Closing HTTP API server...');
+      await new Promise((resolve) => this.apiServer.close(resolve));
+      this.apiServer = null;
+      this.logDebug('HTTP API server closed.');
+    }
     this.logDebug('Plugin unmounted successfully.');
   }
 
   /**
-   * Handles the `!slwl` chat command to show a player their progress.
-   * @param {object} info - Chat command information.
+   * Brings the database schema up to the latest version.
+   * A database with no recorded version but an existing WhitelistProgress table was created
+   * before migrations existed and starts at version 0. A database with neither is a fresh
+   * install and is created directly at the latest version. Afterwards every model is synced,
+   * which creates any missing tables and indexes without altering existing ones.
+   */
+  async runMigrations() {
+    const queryInterface = this.sequelize.getQueryInterface();
+    const latestVersion = MIGRATIONS.length ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+
+    await this.WhitelistSchemaVersionModel.sync();
+    let versionRecord = await this.WhitelistSchemaVersionModel.findByPk(1);
+
+    if (!versionRecord) {
+      const isLegacy = await this.tableExists(this.WhitelistProgressModel.getTableName());
+      const initialVersion = isLegacy ? 0 : latestVersion;
+      this.logDebug(
+        `No schema version recorded. ${
+          isLegacy ? 'Existing tables found' : 'Fresh install'
+        }, starting at version ${initialVersion}.`
+      );
+      versionRecord = await this.WhitelistSchemaVersionModel.create({
+        id: 1,
+        version: initialVersion
+      });
+    }
+    this.logDebug(`Current schema version: ${versionRecord.version}. Latest: ${latestVersion}.`);
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= versionRecord.version) continue;
+      this.logDebug(`Applying migration ${migration.version}: ${migration.description}`);
+      await migration.up(queryInterface, this);
+      versionRecord.version = migration.version;
+      await versionRecord.save();
+      this.logDebug(`Migration ${migration.version} applied.`);
+    }
+
+    this.logDebug('Syncing models to create any missing tables and indexes...');
+    await this.WhitelistProgressModel.sync();
+    await this.WhitelistProgressEventModel.sync();
+    await this.WhitelistTaskLeaseModel.sync();
+    await this.WhitelistPlayerModel.sync();
+    await this.WhitelistOverrideModel.sync();
+    await this.WhitelistSeasonModel.sync();
+    await this.WhitelistSeasonResultModel.sync();
+  }
+
+  /**
+   * Adds a column to an existing table unless it is already there.
+   * @param {string} tableName - The table name.
+   * @param {string} columnName - The column to add.
+   * @param {object} attributes - The Sequelize column definition.
+   */
+  async addColumnIfMissing(tableName, columnName, attributes) {
+    const queryInterface = this.sequelize.getQueryInterface();
+    const columns = await queryInterface.describeTable(tableName);
+    if (columns[columnName]) return;
+    this.logDebug(`Adding column ${columnName} to ${tableName}.`);
+    await queryInterface.addColumn(tableName, columnName, attributes);
+  }
+
+  /**
+   * Adds this instance's progress scope to a `where` clause. Every query on
+   * WhitelistProgress, WhitelistOverride and the season tables goes through here so pooled and
+   * per-server rows never mix.
+   * @param {object} where - Additional conditions.
+   * @returns {object}
+   */
+  scopeWhere(where = {}) {
+    return { ...where, serverID: this.progressServerID };
+  }
+
+  /**
+   * Claims a shared task so that only one of several plugin instances sharing the database
+   * runs it per interval. The claim is a single conditional UPDATE, so it is atomic.
+   * @param {string} name - The task name.
+   * @param {number} intervalMilliseconds - How often the task should run in total.
+   * @returns {Promise<boolean>} Whether this instance should run the task now.
+   */
+  async claimTask(name, intervalMilliseconds) {
+    const now = new Date();
+    await this.WhitelistTaskLeaseModel.bulkCreate(
+      [{ name, holder: null, lastRunAt: new Date(0) }],
+      {
+        ignoreDuplicates: true
+      }
+    );
+    // Allow a little slack so instances with slightly drifting intervals don't skip a run.
+    const [claimed] = await this.WhitelistTaskLeaseModel.update(
+      { holder: this.serverID, lastRunAt: now },
+      {
+        where: {
+          name,
+          lastRunAt: { [Op.lte]: new Date(now.getTime() - intervalMilliseconds * 0.9) }
+        }
+      }
+    );
+    this.logDebug(
+      `Task ${name} ${claimed ? 'claimed' : 'already run'} by server ${this.serverID}.`
+    );
+    return claimed > 0;
+  }
+
+  /**
+   * Starts a transaction that takes the write lock immediately on SQLite, so read-modify-write
+   * cycles from several plugin instances on the same database file are serialized.
+   * @param {Function} callback - Receives the transaction.
+   * @returns {Promise<*>}
+   */
+  writeTransaction(callback) {
+    return this.sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, callback);
+  }
+
+  /**
+   * Checks whether a table exists in the connected database.
+   * @param {string} tableName - The table name.
+   * @returns {Promise<boolean>}
+   */
+  async tableExists(tableName) {
+    const tables = await this.sequelize.getQueryInterface().showAllTables();
+    return tables.some((table) => (table.tableName || table) === tableName);
+  }
+
+  /**
+   * Handles the `!slwl` chat command to show a player their progress.
+   * @param {object} info - Chat command information.
+   */
+  async onChatCommand(info) {
+    const steamID = info.player.steamID;
+    this.logDebug(
+      `Processing chat command from SteamID: ${steamID}. Player name: ${info.player.name}`
+    );
+
+    const query = (info.message || '').trim();
+    // Only the subcommand is case-insensitive; arguments such as language codes keep their case.
+    const [command, ...args] = query.split(/\s+/);
+    const subcommand = command.toLowerCase();
+    if (subcommand === 'history') {
+      await this.showProgressHistory(info);
+      return;
+    }
+    if (subcommand === 'top') {
+      await this.showLeaderboard(info);
+      return;
+    }
+    if (subcommand === 'lang') {
+      await this.setPlayerLanguage(info, args[0]);
+      return;
+    }
+    if (subcommand === 'pause') {
+      await this.pauseDecay(info, args[0]);
+      return;
+    }
+    if (query) {
+      await this.showOtherPlayerProgress(info, query);
+      return;
+    }
+
+    try {
+      this.logDebug(`Searching for player progress for SteamID: ${steamID} in the database.`);
+      const playerProgress = await this.WhitelistProgressModel.findOne({
+        where: this.scopeWhere({ steamID })
+      });
+      const t = (key, params) => this.formatMessage(steamID, key, params);
+
+      const override = (await this.getActiveOverrides([steamID])).get(steamID);
+      if (override) {
+        this.logDebug(`Player has a ${override.type} override.`);
+        const lines = this.describeOverride(override);
+        if (playerProgress) {
+          lines.push(
+            t('progress', {
+              percentage: Math.round((playerProgress.progress / this.whitelistThreshold) * 100),
+              progress: playerProgress.progress.toFixed(1)
+            })
+          );
+        }
+        this.sendPlayerMessage(steamID, lines);
+        return;
+      }
+
+      if (playerProgress) {
+        const currentProgress = playerProgress.progress;
+        const threshold = this.whitelistThreshold;
+        const progressPercentage = Math.round((currentProgress / threshold) * 100);
+        // A player kept on the whitelist by the removal margin still counts as the lowest tier.
+        const tier = this.getTier(currentProgress) || this.tiers[0];
+        const nextTier = this.getNextTier(currentProgress);
+        const lines = [];
+
+        this.logDebug('Calculating rank.');
+        // Whitelisted players are ranked among each other, everyone else among all players.
+        const whitelisted = Boolean(playerProgress.whitelisted);
+        const { rank, total } = await this.getProgressRank(currentProgress, whitelisted);
+        this.logDebug(`Player ${info.player.name} is rank ${rank} out of ${total}.`);
+        const progressLines = [
+          t('progress', { percentage: progressPercentage, progress: currentProgress.toFixed(1) }),
+          t(whitelisted ? 'rankWhitelisted' : 'rank', { rank, total })
+        ];
+
+        // Determine the progress status message
+        if (whitelisted) {
+          this.logDebug('Player is whitelisted.');
+          lines.push(t('whitelisted'), ...progressLines);
+          if (this.hasTiers) {
+            lines.push(t('tier', { tier: tier.name }));
+            lines.push(
+              nextTier
+                ? t('nextTierEstimate', {
+                    tier: nextTier.name,
+                    points: (nextTier.threshold - currentProgress).toFixed(1),
+                    hours: this.estimateLeadingHours(nextTier.threshold - currentProgress)
+                  })
+                : t('highestTier')
+            );
+          }
+          const risk = this.describeRemovalRisk(playerProgress);
+          if (risk) {
+            lines.push(risk);
+          }
+        } else {
+          this.logDebug(
+            'Player is not yet whitelisted. Displaying progress and "no whitelist" message.'
+          );
+          lines.push(t('notWhitelisted'), ...progressLines);
+          if (this.hasTiers) {
+            lines.push(
+              t('nextTier', {
+                tier: nextTier.name,
+                points: (nextTier.threshold - currentProgress).toFixed(1)
+              })
+            );
+          }
+          lines.push(
+            t('timeToWhitelist', { hours: this.estimateLeadingHours(threshold - currentProgress) })
+          );
+        }
+        lines.push(...(await this.describeSeasons(steamID)));
+
+        this.sendPlayerMessage(steamID, lines);
+        this.logDebug('RCON message sent successfully.');
+      } else {
+        this.logDebug(
+          `No whitelist progress found for SteamID: ${steamID}. Sending informational RCON message.`
+        );
+        this.sendPlayerMessage(steamID, [
+          t('noProgress'),
+          ...(await this.describeSeasons(steamID))
+        ]);
+        this.logDebug('Informational RCON message sent successfully.');
+      }
+    } catch (error) {
+      this.logDebug(`[ERROR] Failed to handle chat command for SteamID: ${steamID}`, error);
+      this.logDebug('Error handling chat command.');
+    }
+  }
+
+  /**
+   * Handles `!slwl pause [days]`: shows the player's decay pause and remaining allowance, or
+   * pauses their decay for the given number of days. Each player can pause for up to
+   * `pauseMaxDaysPerMonth` days per UTC month; a new pause extends any pause still running.
+   * @param {object} info - Chat command information.
+   * @param {string} [days] - The number of days to pause for.
+   */
+  async pauseDecay(info, days) {
+    const steamID = info.player.steamID;
+    const t = (key, params) => this.formatMessage(steamID, key, params);
+    const maxDays = this.options.pauseMaxDaysPerMonth;
+    try {
+      if (maxDays <= 0) {
+        this.sendPlayerMessage(steamID, [t('pauseDisabled')]);
+        return;
+      }
+      const record = await this.WhitelistProgressModel.findOne({
+        where: this.scopeWhere({ steamID })
+      });
+      if (!record) {
+        this.sendPlayerMessage(steamID, [t('noProgress')]);
+        return;
+      }
+
+      const now = new Date();
+      const month = now.toISOString().slice(0, 7);
+      const daysUsed = record.pauseMonth === month ? record.pauseDaysUsed : 0;
+      const daysLeft = Math.max(0, maxDays - daysUsed);
+      const pausedUntil =
+        record.decayPausedUntil && new Date(record.decayPausedUntil) > now
+          ? new Date(record.decayPausedUntil)
+          : null;
+
+      if (!days) {
+        this.sendPlayerMessage(steamID, [
+          pausedUntil
+            ? t('pauseStatus', {
+                duration: this.formatDuration(pausedUntil - now),
+                days: daysLeft
+              })
+            : t('pauseNone', { days: daysLeft })
+        ]);
+        return;
+      }
+
+      const requestedDays = Number(days);
+      if (!Number.isInteger(requestedDays) || requestedDays < 1 || requestedDays > daysLeft) {
+        this.sendPlayerMessage(steamID, [t('pauseInvalid', { days: daysLeft })]);
+        return;
+      }
+
+      const start = pausedUntil || now;
+      await this.WhitelistProgressModel.update(
+        {
+          decayPausedUntil: new Date(start.getTime() + requestedDays * 24 * 60 * 60 * 1000),
+          pauseMonth: month,
+          pauseDaysUsed: daysUsed + requestedDays
+        },
+        { where: this.scopeWhere({ steamID }) }
+      );
+      this.logDebug(`SteamID ${steamID} paused their decay for ${requestedDays} days.`);
+      this.sendPlayerMessage(steamID, [
+        t('pauseSet', { days: requestedDays, remaining: daysLeft - requestedDays })
+      ]);
+    } catch (error) {
+      this.logDebug(`[ERROR] Failed to pause decay for SteamID: ${steamID}`, error);
+    }
+  }
+
+  /**
+   * Handles `!slwl lang [code]`: shows the player's language and the available ones, or
+   * switches to the given language, matching codes case-insensitively. The choice is stored
+   * with the player's identity.
+   * @param {object} info - Chat command information.
+   * @param {string} [requested] - The language code to switch to.
+   */
+  async setPlayerLanguage(info, requested) {
+    const steamID = info.player.steamID;
+    const languages = this.getAvailableLanguages();
+    const t = (key, params) => this.formatMessage(steamID, key, params);
+    try {
+      if (!requested) {
+        this.sendPlayerMessage(steamID, [
+          t('languageCurrent', {
+            language: this.getPlayerLanguage(steamID),
+            languages: languages.join(', ')
+          })
+        ]);
+        return;
+      }
+      const language = languages.find((code) => code.toLowerCase() === requested.toLowerCase());
+      if (!language) {
+        this.sendPlayerMessage(steamID, [
+          t('languageUnknown', { language: requested, languages: languages.join(', ') })
+        ]);
+        return;
+      }
+
+      const [updated] = await this.WhitelistPlayerModel.update(
+        { language },
+        { where: { steamID } }
+      );
+      if (updated === 0) {
+        await this.WhitelistPlayerModel.create({
+          steamID,
+          eosID: info.player.eosID || null,
+          name: info.player.name || null,
+          nameHistory: '[]',
+          language
+        });
+      }
+      this.playerLanguages.set(steamID, language);
+      this.logDebug(`SteamID ${steamID} set their language to ${language}.`);
+      this.sendPlayerMessage(steamID, [t('languageSet', { language })]);
+    } catch (error) {
+      this.logDebug(`[ERROR] Failed to set language for SteamID: ${steamID}`, error);
+    }
+  }
+
+  /**
+   * Lists the language codes players can choose: English, the default language, and every
+   * language configured in `messages`.
+   * @returns {string[]}
+   */
+  getAvailableLanguages() {
+    return [
+      ...new Set([
+        DEFAULT_LANGUAGE,
+        this.options.defaultLanguage,
+        ...Object.keys(this.options.messages || {})
+      ])
+    ];
+  }
+
+  /**
+   * Returns the language a player's messages are shown in.
+   * @param {string} steamID - The player's SteamID.
+   * @returns {string}
+   */
+  getPlayerLanguage(steamID) {
+    const language = this.playerLanguages.get(steamID);
+    return language && this.getAvailableLanguages().includes(language)
+      ? language
+      : this.options.defaultLanguage;
+  }
+
+  /**
+   * Renders a message template in the player's language. The template is looked up in the
+   * player's language, then `defaultLanguage`, then `DEFAULT_MESSAGES`. Players who chose
+   * English skip `defaultLanguage`, since `DEFAULT_MESSAGES` is already English. `{threshold}`
+   * is available in every template.
+   * @param {string} steamID - The player the message is for.
+   * @param {string} key - The template key, e.g. 'whitelisted'.
+   * @param {object} [params] - Values for the template's placeholders.
+   * @returns {string}
+   */
+  formatMessage(steamID, key, params = {}) {
+    const values = { threshold: this.whitelistThreshold, ...params };
+    const messages = this.options.messages || {};
+    const language = this.getPlayerLanguage(steamID);
+    const template = [
+      messages[language],
+      language === DEFAULT_LANGUAGE ? undefined : messages[this.options.defaultLanguage]
+    ]
+      .map((templates) => templates && templates[key])
+      .find((value) => typeof value === 'string');
+    return (template !== undefined ? template : DEFAULT_MESSAGES[key]).replace(
+      /\{(\w+)\}/g,
+      (match, name) => (values[name] !== undefined ? String(values[name]) : match)
+    );
+  }
+
+  /**
+   * Sends a player an in-game warning framed by the header and footer templates.
+   * @param {string} steamID - The player's SteamID.
+   * @param {string[]} lines - The already formatted lines of the message.
+   */
+  sendPlayerMessage(steamID, lines) {
+    this.server.rcon.warn(
+      steamID,
+      [this.formatMessage(steamID, 'header'), ...lines, this.formatMessage(steamID, 'footer')].join(
+        '\n'
+      )
+    );
+  }
+
+  /**
+   * Ranks a progress score among all players in this instance's scope with a pair of count
+   * queries, rather than loading and sorting every row.
+   * @param {number} progress - The progress score to rank.
+   * @param {boolean} [whitelistedOnly] - Rank among whitelisted players only.
+   * @returns {Promise<{ rank: number, total: number }>} `total` counts players with any progress,
+   *   or whitelisted players with `whitelistedOnly`.
+   */
+  async getProgressRank(progress, whitelistedOnly = false) {
+    const among = whitelistedOnly ? { whitelisted: true } : {};
+    const ahead = await this.WhitelistProgressModel.count({
+      where: this.scopeWhere({ ...among, progress: { [Op.gt]: progress } })
+    });
+    const total = await this.WhitelistProgressModel.count({
+      where: this.scopeWhere({ ...among, progress: { [Op.gt]: 0 } })
+    });
+    return { rank: ahead + 1, total: Math.max(total, ahead + 1) };
+  }
+
+  /**
+   * Estimates how many hours a player has to lead an eligible squad to earn the given progress,
+   * at the base `progressPerHour` rate without multipliers or decay.
+   * @param {number} remaining - The progress still needed.
+   * @returns {string} The hours, e.g. "3.5", or rounded up once above 10.
+   */
+  estimateLeadingHours(remaining) {
+    const hours = Math.max(0, remaining) / this.options.progressPerHour;
+    return hours < 10 ? hours.toFixed(1) : String(Math.ceil(hours));
+  }
+
+  /**
+   * Handles `!slwl top` by showing the players with the most progress.
+   * @param {object} info - Chat command information.
+   */
+  async showLeaderboard(info) {
+    const steamID = info.player.steamID;
+    this.logDebug(`Showing leaderboard to SteamID: ${steamID}.`);
+    try {
+      const records = await this.WhitelistProgressModel.findAll({
+        where: this.scopeWhere({ progress: { [Op.gt]: 0 } }),
+        order: [['progress', 'DESC']],
+        limit: this.options.leaderboardSize,
+        attributes: ['steamID', 'progress', 'whitelisted'],
+        raw: true
+      });
+
+      if (records.length === 0) {
+        this.sendPlayerMessage(steamID, [this.formatMessage(steamID, 'leaderboardEmpty')]);
+        return;
+      }
+
+      const identities = await this.getPlayerIdentities(records.map((r) => r.steamID));
+      const lines = records.map((record, index) => {
+        const identity = identities.get(record.steamID);
+        return this.formatMessage(
+          steamID,
+          record.whitelisted ? 'leaderboardEntryWhitelisted' : 'leaderboardEntry',
+          {
+            position: index + 1,
+            name: identity && identity.name ? identity.name : record.steamID,
+            percentage: Math.round((record.progress / this.whitelistThreshold) * 100),
+            progress: record.progress.toFixed(1)
+          }
+        );
+      });
+      this.sendPlayerMessage(steamID, lines);
+    } catch (error) {
+      this.logDebug(`[ERROR] Failed to show leaderboard to SteamID: ${steamID}`, error);
+    }
+  }
+
+  /**
+   * Handles `!slwl <name>` by showing the progress and rank of another online player. A single
+   * word that matches nobody is answered with the command usage.
+   * @param {object} info - Chat command information.
+   * @param {string} query - A full or partial name of an online player.
+   */
+  async showOtherPlayerProgress(info, query) {
+    const steamID = info.player.steamID;
+    this.logDebug(`SteamID ${steamID} is looking up the progress of "${query}".`);
+    const t = (key, params) => this.formatMessage(steamID, key, params);
+    try {
+      const { player, matches = [] } = await this.resolvePlayer(query, { onlineOnly: true });
+      if (!player && matches.length === 0 && !/\s/.test(query)) {
+        // Most likely a mistyped subcommand rather than a name.
+        this.sendPlayerMessage(steamID, [t('playerNotFound', { query }), t('usage')]);
+        return;
+      }
+      if (!player) {
+        this.sendPlayerMessage(steamID, [
+          matches.length > 1
+            ? t('playerAmbiguous', {
+                query,
+                count: matches.length,
+                names: matches
+                  .slice(0, 3)
+                  .map((p) => p.name)
+                  .join(', ')
+              })
+            : t('playerNotFound', { query })
+        ]);
+        return;
+      }
+
+      const record = await this.WhitelistProgressModel.findOne({
+        where: this.scopeWhere({ steamID: player.steamID })
+      });
+      if (!record || record.progress <= 0) {
+        this.sendPlayerMessage(steamID, [t('lookupNoProgress', { name: player.name })]);
+        return;
+      }
+
+      const whitelisted = Boolean(record.whitelisted);
+      const { rank, total } = await this.getProgressRank(record.progress, whitelisted);
+      const tier = this.getTier(record.progress) || this.tiers[0];
+      let status = 'lookupNotWhitelisted';
+      if (whitelisted) {
+        status = this.hasTiers ? 'lookupWhitelistedTier' : 'lookupWhitelisted';
+      }
+      this.sendPlayerMessage(steamID, [
+        t(status, { name: player.name, tier: tier.name }),
+        t('progress', {
+          percentage: Math.round((record.progress / this.whitelistThreshold) * 100),
+          progress: record.progress.toFixed(1)
+        }),
+        t(whitelisted ? 'rankWhitelisted' : 'rank', { rank, total })
+      ]);
+    } catch (error) {
+      this.logDebug(`[ERROR] Failed to look up "${query}" for SteamID: ${steamID}`, error);
+    }
+  }
+
+  /**
+   * Handles `!slwl history` by showing the player their most recent progress changes.
+   * @param {object} info - Chat command information.
+   */
+  async showProgressHistory(info) {
+    const steamID = info.player.steamID;
+    this.logDebug(`Fetching progress history for SteamID: ${steamID}.`);
+    try {
+      const where = { steamID };
+      if (this.progressServerID !== POOLED_SERVER_ID) where.serverID = this.serverID;
+      const events = await this.WhitelistProgressEventModel.findAll({
+        where,
+        order: [['timestamp', 'DESC']],
+        limit: this.options.historyCommandEntries
+      });
+
+      const t = (key, params) => this.formatMessage(steamID, key, params);
+
+      if (events.length === 0) {
+        this.sendPlayerMessage(steamID, [t('historyEmpty')]);
+        return;
+      }
+
+      const now = Date.now();
+      const lines = events.map((event) => {
+        const age = this.formatDuration(now - new Date(event.timestamp).getTime());
+        if (event.reason === PROGRESS_REASONS.WHITELIST_GAINED) {
+          return t('historyJoined', { age });
+        }
+        if (event.reason === PROGRESS_REASONS.WHITELIST_LOST) {
+          return t('historyLeft', { age });
+        }
+        const sign = event.delta >= 0 ? '+' : '';
+        return t('historyChange', {
+          delta: `${sign}${event.delta.toFixed(2)}`,
+          reason: event.reason,
+          times: event.entries > 1 ? ` x${event.entries}` : '',
+          age
+        });
+      });
+
+      this.sendPlayerMessage(steamID, lines);
+      this.logDebug(`Sent ${events.length} history entries to ${steamID}.`);
+    } catch (error) {
+      this.logDebug(`[ERROR] Failed to show progress history for SteamID: ${steamID}`, error);
+    }
+  }
+
+  /**
+   * Formats a duration in milliseconds as a short human readable string, e.g. "3h" or "2d".
+   * @param {number} milliseconds - The duration.
+   * @returns {string}
+   */
+  formatDuration(milliseconds) {
+    const minutes = Math.floor(milliseconds / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours}h`;
+    return `${Math.floor(hours / 24)}d`;
+  }
+
+  /**
+   * Handles the `!slwl-admin` chat command used by admins to inspect and adjust progress.
+   * Usage: !slwl-admin <lookup|set|add|remove|reset> <steamID or name> [amount]
+   * @param {object} info - Chat command information.
+   */
+  async onAdminCommand(info) {
+    const callerID = info.player.steamID;
+    this.logDebug(
+      `Processing admin command from SteamID: ${callerID} in ${info.chat}. Message: ${info.message}`
+    );
+
+    if (this.options.adminChatOnly && info.chat !== 'ChatAdmin') {
+      this.logDebug('Admin command was not sent in admin chat. Ignoring.');
+      return;
+    }
+
+    try {
+      if (!this.isAdmin(callerID)) {
+        this.logDebug(`SteamID ${callerID} lacks the ${this.options.adminPermission} permission.`);
+        this.server.rcon.warn(callerID, 'You do not have permission to use !slwl-admin.');
+        return;
+      }
+
+      const usage =
+        'Usage: !slwl-admin lookup|reset <steamID or name>\n' +
+        '!slwl-admin set|add|remove <steamID or name> <amount>\n' +
+        '!slwl-admin search <name>\n' +
+        '!slwl-admin override always|never|frozen|clear <steamID or name> [duration] [reason]\n' +
+        '!slwl-admin overrides\n' +
+        '!slwl-admin season [end [percent] confirm]\n' +
+        '!slwl-admin export [csv|json]\n' +
+        '!slwl-admin import <file> [overwrite|max|add] [dryrun]';
+      const args = (info.message || '').trim().split(/\s+/).filter(Boolean);
+      const subcommand = (args.shift() || '').toLowerCase();
+      this.logDebug(`Admin subcommand: "${subcommand}", arguments: [${args.join(', ')}]`);
+
+      if (subcommand === 'overrides') {
+        const overrides = [...(await this.getActiveOverrides()).values()];
+        if (overrides.length === 0) {
+          this.server.rcon.warn(callerID, 'No active overrides.');
+          return;
+        }
+        const identities = await this.getPlayerIdentities(overrides.map((o) => o.steamID));
+        this.server.rcon.warn(
+          callerID,
+          overrides
+            .map((o) => {
+              const identity = identities.get(o.steamID);
+              return `${identity && identity.name ? identity.name : o.steamID}: ${o.type}${
+                o.expiresAt ? ` for ${this.formatDuration(new Date(o.expiresAt) - Date.now())}` : ''
+              }`;
+            })
+            .join('\n')
+        );
+        return;
+      }
+
+      if (subcommand === 'override') {
+        const type = (args.shift() || '').toLowerCase();
+        const target = args.shift();
+        if (!(type === 'clear' || Object.values(OVERRIDE_TYPES).includes(type)) || !target) {
+          this.server.rcon.warn(callerID, usage);
+          return;
+        }
+        let durationMilliseconds = null;
+        if (args.length > 0) {
+          durationMilliseconds = this.parseDuration(args[0]);
+          if (durationMilliseconds !== null) args.shift();
+        }
+
+        const { player, error } = await this.resolvePlayer(target);
+        if (error) {
+          this.server.rcon.warn(callerID, error);
+          return;
+        }
+
+        if (type === 'clear') {
+          const cleared = await this.clearOverride(player.steamID);
+          this.server.rcon.warn(
+            callerID,
+            cleared
+              ? `Removed the override for ${player.name} (${player.steamID}).`
+              : `${player.name} has no override.`
+          );
+          return;
+        }
+
+        const expiresAt = durationMilliseconds ? new Date(Date.now() + durationMilliseconds) : null;
+        await this.setOverride(player.steamID, type, {
+          reason: args.join(' ') || null,
+          author: callerID,
+          expiresAt
+        });
+        this.server.rcon.warn(
+          callerID,
+          `${player.name} (${player.steamID}) override set to ${type}` +
+            (expiresAt ? ` until ${expiresAt.toISOString()}` : ' permanently') +
+            '.'
+        );
+        return;
+      }
+
+      if (subcommand === 'season') {
+        const current = await this.getCurrentSeason();
+        if ((args[0] || '').toLowerCase() !== 'end') {
+          const endsAt = this.getSeasonEnd(current);
+          this.server.rcon.warn(
+            callerID,
+            `Season ${current.season}, started ${new Date(current.startedAt).toISOString()}\n` +
+              (endsAt ? `Ends ${endsAt.toISOString()}\n` : 'No scheduled end\n') +
+              `Carry-over: ${this.options.seasonCarryOverPercent}%`
+          );
+          return;
+        }
+        const flags = args.slice(1).map((flag) => flag.toLowerCase());
+        const percentFlag = flags.find((flag) => flag !== 'confirm');
+        const carryOverPercent =
+          percentFlag === undefined ? this.options.seasonCarryOverPercent : Number(percentFlag);
+        if (!Number.isFinite(carryOverPercent) || carryOverPercent < 0 || carryOverPercent > 100) {
+          this.server.rcon.warn(callerID, `Invalid carry-over percentage.\n${usage}`);
+          return;
+        }
+        if (!flags.includes('confirm')) {
+          this.server.rcon.warn(
+            callerID,
+            `This ends season ${current.season} and keeps ${carryOverPercent}% of everyone's progress.\n` +
+              `Add "confirm" to the command to go ahead.`
+          );
+          return;
+        }
+        const result = await this.endSeason(current.season, { carryOverPercent, author: callerID });
+        this.server.rcon.warn(
+          callerID,
+          result
+            ? `Season ${result.season} ended. Archived ${result.players} players.`
+            : 'The season was already ended by another server.'
+        );
+        return;
+      }
+
+      if (subcommand === 'export') {
+        const format = (args[0] || 'csv').toLowerCase();
+        if (!['csv', 'json'].includes(format)) {
+          this.server.rcon.warn(callerID, `Unknown export format "${format}".\n${usage}`);
+          return;
+        }
+        const { filePath, count } = await this.exportProgress(format);
+        this.server.rcon.warn(callerID, `Exported ${count} players to ${filePath}`);
+        return;
+      }
+
+      if (subcommand === 'import') {
+        const [fileName, ...flags] = args;
+        const lowerFlags = flags.map((flag) => flag.toLowerCase());
+        const mode =
+          lowerFlags.find((flag) => IMPORT_MODES.includes(flag)) || this.options.importMode;
+        const dryRun = lowerFlags.includes('dryrun');
+        if (!fileName) {
+          this.server.rcon.warn(callerID, `Missing file.\n${usage}`);
+          return;
+        }
+        // Only files inside exportDirectory can be imported from chat.
+        const filePath = path.join(
+          this.resolveServerPath(this.options.exportDirectory),
+          path.basename(fileName)
+        );
+        try {
+          await fs.access(filePath);
+        } catch (error) {
+          this.server.rcon.warn(callerID, `File ${path.basename(fileName)} not found.`);
+          return;
+        }
+        const report = await this.importProgress(filePath, mode, { dryRun, author: callerID });
+        this.server.rcon.warn(callerID, this.formatImportReport(report));
+        return;
+      }
+
+      let amount = 0;
+      if (['set', 'add', 'remove'].includes(subcommand)) {
+        amount = Number(args.pop());
+        if (!Number.isFinite(amount) || amount < 0) {
+          this.server.rcon.warn(callerID, `Invalid amount.\n${usage}`);
+          return;
+        }
+      } else if (!['lookup', 'reset', 'search'].includes(subcommand)) {
+        this.server.rcon.warn(callerID, usage);
+        return;
+      }
+
+      const query = args.join(' ');
+      if (!query) {
+        this.server.rcon.warn(callerID, `Missing player.\n${usage}`);
+        return;
+      }
+
+      if (subcommand === 'search') {
+        const matches = await this.searchPlayersByName(query, 5);
+        if (matches.length === 0) {
+          this.server.rcon.warn(callerID, `No known player matches "${query}".`);
+          return;
+        }
+        const records = await this.WhitelistProgressModel.findAll({
+          where: this.scopeWhere({ steamID: { [Op.in]: matches.map((m) => m.steamID) } }),
+          attributes: ['steamID', 'progress'],
+          raw: true
+        });
+        const progressBySteamID = new Map(records.map((r) => [r.steamID, r.progress]));
+        this.server.rcon.warn(
+          callerID,
+          matches
+            .map(
+              (m) =>
+                `${m.name} (${m.steamID}): ${(progressBySteamID.get(m.steamID) || 0).toFixed(1)}`
+            )
+            .join('\n')
+        );
+        return;
+      }
+
+      const { player, error } = await this.resolvePlayer(query);
+      if (error) {
+        this.server.rcon.warn(callerID, error);
+        return;
+      }
+      this.logDebug(`Resolved "${query}" to ${player.name} (SteamID: ${player.steamID}).`);
+
+      if (subcommand === 'lookup') {
+        const record = await this.WhitelistProgressModel.findOne({
+          where: this.scopeWhere({ steamID: player.steamID })
+        });
+        if (!record) {
+          this.server.rcon.warn(callerID, `${player.name} has no whitelist progress.`);
+          return;
+        }
+        const progressPercentage = Math.round((record.progress / this.whitelistThreshold) * 100);
+        const tier = this.getTier(record.progress) || this.tiers[0];
+        let status = record.whitelisted ? 'Whitelisted' : 'Not whitelisted';
+        if (record.whitelisted && this.hasTiers) status += ` (${tier.name})`;
+        if (record.belowThresholdSince) {
+          status += `, below removal threshold since ${new Date(
+            record.belowThresholdSince
+          ).toISOString()}`;
+        }
+        const identity = await this.WhitelistPlayerModel.findByPk(player.steamID);
+        const formerNames = identity ? this.parseNameHistory(identity.nameHistory) : [];
+        const override = (await this.getActiveOverrides([player.steamID])).get(player.steamID);
+        this.server.rcon.warn(
+          callerID,
+          `${player.name} (${player.steamID})\n` +
+            (formerNames.length ? `Previously: ${formerNames.slice(-3).join(', ')}\n` : '') +
+            `Progress: ${record.progress.toFixed(2)} (${progressPercentage}%)\n` +
+            `Status: ${status}\n` +
+            (override
+              ? `Override: ${override.type}` +
+                (override.reason ? ` (${override.reason})` : '') +
+                (override.expiresAt ? ` until ${new Date(override.expiresAt).toISOString()}` : '') +
+                '\n'
+              : '') +
+            `Last progressed: ${new Date(record.lastProgressed).toISOString()}` +
+            (identity ? `\nLast seen: ${new Date(identity.lastSeen).toISOString()}` : '')
+        );
+        return;
+      }
+
+      const { oldProgress, newProgress } = await this.adjustProgress(
+        player.steamID,
+        subcommand,
+        amount,
+        callerID
+      );
+      this.server.rcon.warn(
+        callerID,
+        `${player.name} (${player.steamID})\n` +
+          `Progress: ${oldProgress.toFixed(2)} → ${newProgress.toFixed(2)}`
+      );
+      this.logDebug(
+        `Admin ${callerID} ran ${subcommand} on ${player.steamID}: ${oldProgress} → ${newProgress}`
+      );
+    } catch (error) {
+      this.logDebug(`[ERROR] Failed to handle admin command from SteamID: ${callerID}`, error);
+      this.server.rcon.warn(callerID, 'Admin command failed. Check the SquadJS logs.');
+    }
+  }
+
+  /**
+   * Checks whether a player holds the admin permission configured in `adminPermission`.
+   * @param {string} steamID - The player's SteamID.
+   * @returns {boolean}
+   */
+  isAdmin(steamID) {
+    const admins = this.server.getAdminsWithPermission(this.options.adminPermission) || [];
+    return admins.includes(steamID);
+  }
+
+  /**
+   * Resolves an admin command target to a player.
+   * A 17-digit SteamID is accepted as-is, even for offline players, and a 32-character EOS ID
+   * is looked up among online and known players. Anything else is matched against the names of
+   * online players, exact match first, then partial. If no online player matches, the names of
+   * every player the plugin has seen are searched the same way.
+   * @param {string} query - A SteamID, EOS ID or full/partial player name.
+   * @param {object} [options]
+   * @param {boolean} [options.onlineOnly] - Only match online players, by name.
+   * @returns {Promise<{ player: ?object, error: ?string, matches?: object[] }>} `matches` lists
+   * every partial name match when the query was ambiguous.
+   */
+  async resolvePlayer(query, { onlineOnly = false } = {}) {
+    const players = this.server.players || [];
+
+    if (!onlineOnly && /^\d{17}$/.test(query)) {
+      const onlinePlayer = players.find((p) => p.steamID === query);
+      if (onlinePlayer) return { player: onlinePlayer, error: null };
+      const identity = await this.WhitelistPlayerModel.findByPk(query);
+      return {
+        player: { steamID: query, name: identity && identity.name ? identity.name : query },
+        error: null
+      };
+    }
+
+    if (!onlineOnly && /^[0-9a-f]{32}$/i.test(query)) {
+      const eosID = query.toLowerCase();
+      const onlinePlayer = players.find((p) => p.eosID && p.eosID.toLowerCase() === eosID);
+      if (onlinePlayer) return { player: onlinePlayer, error: null };
+      const identity = await this.WhitelistPlayerModel.findOne({ where: { eosID } });
+      if (identity) {
+        return { player: { steamID: identity.steamID, name: identity.name }, error: null };
+      }
+      return { player: null, error: `No known player has EOS ID ${query}.` };
+    }
+
+    const needle = query.toLowerCase();
+    let partialMatches = players.filter((p) => p.name && p.name.toLowerCase().includes(needle));
+    if (partialMatches.length === 0 && !onlineOnly) {
+      partialMatches = (await this.searchPlayersByName(query, 25)).map((identity) => ({
+        steamID: identity.steamID,
+        name: identity.name
+      }));
+    }
+
+    const exactMatches = partialMatches.filter((p) => p.name.toLowerCase() === needle);
+    if (exactMatches.length === 1) {
+      return { player: exactMatches[0], error: null };
+    }
+
+    if (partialMatches.length === 1) {
+      return { player: partialMatches[0], error: null };
+    }
+    if (partialMatches.length === 0) {
+      return {
+        player: null,
+        error: `No ${onlineOnly ? 'online ' : ''}player matches "${query}".`
+      };
+    }
+
+    const names = partialMatches
+      .slice(0, 3)
+      .map((p) => p.name)
+      .join(', ');
+    return {
+      player: null,
+      error: `"${query}" matches ${partialMatches.length} players: ${names}. Be more specific.`,
+      matches: partialMatches
+    };
+  }
+
+  /**
+   * Finds known players whose current or former name contains the query, most recently seen
+   * first. `%` and `_` in the query match themselves rather than acting as wildcards.
+   * @param {string} query - A full or partial name.
+   * @param {number} limit - The maximum number of players to return.
+   * @returns {Promise<object[]>} Raw WhitelistPlayer rows.
+   */
+  async searchPlayersByName(query, limit) {
+    // '!' is the escape character, since a backslash would have to be written differently in
+    // each dialect's string literals.
+    const pattern = this.sequelize.escape(`%${query.toLowerCase().replace(/[!%_]/g, '!$&')}%`);
+    const quote = (identifier) => this.sequelize.getQueryInterface().quoteIdentifier(identifier);
+    const contains = (column) =>
+      Sequelize.literal(`lower(${quote(column)}) LIKE ${pattern} ESCAPE '!'`);
+    return this.WhitelistPlayerModel.findAll({
+      where: { [Op.or]: [contains('name'), contains('nameHistory')] },
+      order: [['lastSeen', 'DESC']],
+      limit,
+      raw: true
+    });
+  }
+
+  /**
+   * Loads the WhitelistPlayer rows for the given SteamIDs.
+   * @param {string[]} steamIDs - The SteamIDs to look up.
+   * @returns {Promise<Map<string, object>>} SteamID → raw WhitelistPlayer row.
+   */
+  async getPlayerIdentities(steamIDs) {
+    if (steamIDs.length === 0) return new Map();
+    const identities = await this.WhitelistPlayerModel.findAll({
+      where: { steamID: { [Op.in]: steamIDs } },
+      raw: true
+    });
+    return new Map(identities.map((identity) => [identity.steamID, identity]));
+  }
+
+  /**
+   * Parses a stored name history, tolerating missing or malformed values.
+   * @param {?string} value - The stored JSON array.
+   * @returns {string[]}
+   */
+  parseNameHistory(value) {
+    try {
+      const names = JSON.parse(value || '[]');
+      return Array.isArray(names) ? names : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Records the name, EOS ID and last-seen time of every online player. Name changes are
+   * appended to the player's name history, and a newly seen EOS ID is copied onto the player's
+   * progress rows.
+   * @param {object[]} players - The players currently on the server.
+   * @param {Date} now - The time of this update.
+   */
+  async updatePlayerIdentities(players, now) {
+    try {
+      const onlinePlayers = players.filter((player) => player && player.steamID);
+      const known = await this.getPlayerIdentities(onlinePlayers.map((player) => player.steamID));
+      const eosChanges = [];
+
+      const rows = onlinePlayers.map((player) => {
+        const existing = known.get(player.steamID);
+        if (existing && existing.language) {
+          this.playerLanguages.set(player.steamID, existing.language);
+        }
+        let nameHistory = existing ? this.parseNameHistory(existing.nameHistory) : [];
+        if (existing && existing.name && player.name && existing.name !== player.name) {
+          this.logDebug(`${existing.name} (${player.steamID}) is now known as ${player.name}.`);
+          nameHistory = [...nameHistory.filter((name) => name !== existing.name), existing.name];
+          nameHistory = nameHistory.slice(-NAME_HISTORY_LENGTH);
+        }
+
+        const eosID = player.eosID || (existing ? existing.eosID : null) || null;
+        if (eosID && (!existing || existing.eosID !== eosID)) {
+          eosChanges.push({ steamID: player.steamID, eosID });
+        }
+
+        return {
+          steamID: player.steamID,
+          eosID,
+          name: player.name || (existing ? existing.name : null),
+          nameHistory: JSON.stringify(nameHistory),
+          firstSeen: existing ? existing.firstSeen : now,
+          lastSeen: now
+        };
+      });
+
+      await this.WhitelistPlayerModel.bulkCreate(rows, {
+        updateOnDuplicate: ['eosID', 'name', 'nameHistory', 'lastSeen']
+      });
+
+      // An EOS ID belongs to the player, not a progress scope, so every scope's row is updated.
+      for (const { steamID, eosID } of eosChanges) {
+        await this.WhitelistProgressModel.update({ eosID }, { where: { steamID } });
+      }
+      this.logDebug(
+        `Updated identities for ${rows.length} players (${eosChanges.length} new EOS IDs).`
+      );
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to update player identities:', error);
+    }
+  }
+
+  /**
+   * Resolves a configured path against the SquadJS directory, unless it is already absolute.
+   * @param {string} userPath - The configured path.
+   * @returns {string}
+   */
+  resolveServerPath(userPath) {
+    const basePath =
+      this.server &&
+      this.server.squadJS &&
+      this.server.squadJS.options &&
+      this.server.squadJS.options.path
+        ? this.server.squadJS.options.path
+        : '';
+    return path.isAbsolute(userPath) ? userPath : path.join(basePath, userPath);
+  }
+
+  /**
+   * Writes every progress row in this instance's scope to a timestamped CSV or JSON file in
+   * `exportDirectory`, together with the player's name and EOS ID where known.
+   * @param {string} format - 'csv' or 'json'.
+   * @returns {Promise<{ filePath: string, count: number }>}
+   */
+  async exportProgress(format) {
+    this.logDebug(`Exporting progress as ${format}...`);
+    const records = await this.WhitelistProgressModel.findAll({
+      where: this.scopeWhere(),
+      order: [['progress', 'DESC']],
+      raw: true
+    });
+    const identities = await this.getPlayerIdentities(records.map((r) => r.steamID));
+    const rows = records.map((record) => {
+      const identity = identities.get(record.steamID);
+      return {
+        steamID: record.steamID,
+        eosID: record.eosID || (identity && identity.eosID) || '',
+        name: (identity && identity.name) || '',
+        progress: record.progress,
+        whitelisted: Boolean(record.whitelisted),
+        lastProgressed: new Date(record.lastProgressed).toISOString(),
+        whitelistedAt: record.whitelistedAt ? new Date(record.whitelistedAt).toISOString() : ''
+      };
+    });
+
+    let content;
+    if (format === 'json') {
+      content = JSON.stringify(
+        {
+          exportedAt: new Date().toISOString(),
+          serverID: this.progressServerID,
+          threshold: this.whitelistThreshold,
+          players: rows
+        },
+        null,
+        2
+      );
+    } else {
+      const columns = Object.keys(rows[0] || { steamID: '', progress: '' });
+      const escape = (value) => {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      content = [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((values) => values.map(escape).join(','))
+        .join('\n');
+    }
+
+    const directory = this.resolveServerPath(this.options.exportDirectory);
+    await fs.mkdir(directory, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(directory, `slwl-progress-${stamp}.${format}`);
+    await this.writeFileAtomic(filePath, `${content}\n`);
+    this.logDebug(`Exported ${rows.length} players to ${filePath}.`);
+    return { filePath, count: rows.length };
+  }
+
+  /**
+   * Parses CSV text into rows of fields. Handles quoted fields containing commas, quotes
+   * and line breaks.
+   * @param {string} text - The CSV content.
+   * @returns {string[][]}
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+  }
+
+  /**
+   * Parses and validates an import file. CSV files may have a header row naming at least the
+   * `steamID` and `progress` columns; without one the first two columns are used. JSON files
+   * may be an array of `{ steamID, progress }` objects or an export file with a `players` array.
+   * @param {string} content - The file content.
+   * @param {string} format - 'csv' or 'json'.
+   * @returns {{ entries: Array<{ steamID: string, progress: number }>, errors: string[] }}
+   */
+  parseImportFile(content, format) {
+    let candidates;
+    if (format === 'json') {
+      const data = JSON.parse(content);
+      const players = Array.isArray(data) ? data : data && data.players;
+      if (!Array.isArray(players)) throw new Error('JSON import must be an array of players.');
+      candidates = players.map((player, index) => ({
+        label: `entry ${index + 1}`,
+        steamID: player && player.steamID,
+        progress: player && player.progress
+      }));
+    } else {
+      const rows = this.parseCsv(content);
+      const header = (rows[0] || []).map((value) => value.trim().toLowerCase());
+      const hasHeader = header.includes('steamid');
+      const steamIDColumn = hasHeader ? header.indexOf('steamid') : 0;
+      const progressColumn = hasHeader ? header.indexOf('progress') : 1;
+      if (progressColumn === -1) throw new Error('CSV import has no progress column.');
+      candidates = rows.slice(hasHeader ? 1 : 0).map((fields, index) => ({
+        label: `line ${index + (hasHeader ? 2 : 1)}`,
+        steamID: fields[steamIDColumn],
+        progress: fields[progressColumn]
+      }));
+    }
+
+    const entries = [];
+    const errors = [];
+    const seen = new Set();
+    for (const { label, steamID, progress } of candidates) {
+      const id = String(steamID === undefined || steamID === null ? '' : steamID).trim();
+      const value = Number(typeof progress === 'string' ? progress.trim() : progress);
+      if (!/^7656119\d{10}$/.test(id)) {
+        errors.push(`${label}: invalid SteamID "${id}"`);
+      } else if (progress === '' || !Number.isFinite(value) || value < 0) {
+        errors.push(`${label}: invalid progress "${progress}"`);
+      } else if (seen.has(id)) {
+        errors.push(`${label}: duplicate SteamID ${id}`);
+      } else {
+        seen.add(id);
+        entries.push({ steamID: id, progress: value });
+      }
+    }
+    return { entries, errors };
+  }
+
+  /**
+   * Imports progress from a CSV or JSON file (chosen by extension) into this instance's scope.
+   * Each valid row is merged with the player's existing progress using `mode`. Players with an
+   * active never or frozen override are skipped and listed in the report. With `dryRun`,
+   * nothing is written and the report describes what would have changed.
+   * @param {string} filePath - The file to import.
+   * @param {string} mode - 'overwrite', 'max' or 'add'.
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Only report what would change.
+   * @param {?string} [options.author] - Recorded in the ledger, e.g. the admin's SteamID.
+   * @returns {Promise<object>} The import report.
+   */
+  async importProgress(filePath, mode, { dryRun = false, author = null } = {}) {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+    this.logDebug(`Importing progress from ${filePath}. Mode: ${mode}, dry run: ${dryRun}.`);
+
+    const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv';
+    const content = await fs.readFile(filePath, 'utf8');
+    const { entries, errors } = this.parseImportFile(content.replace(/^\uFEFF/, ''), format);
+    const report = {
+      file: filePath,
+      mode,
+      dryRun,
+      rows: entries.length + errors.length,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      skipped: [],
+      errors
+    };
+    if (entries.length === 0) return report;
+
+    const now = new Date();
+    const changes = [];
+    const identities = dryRun
+      ? new Map()
+      : await this.getPlayerIdentities(entries.map((entry) => entry.steamID));
+    await this.writeTransaction(async (transaction) => {
+      const records = await this.WhitelistProgressModel.findAll({
+        where: this.scopeWhere({ steamID: { [Op.in]: entries.map((entry) => entry.steamID) } }),
+        attributes: ['steamID', 'progress'],
+        raw: true,
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const currentProgress = new Map(records.map((record) => [record.steamID, record.progress]));
+      const overrides = await this.getActiveOverrides(
+        entries.map((entry) => entry.steamID),
+        transaction
+      );
+
+      for (const { steamID, progress } of entries) {
+        const override = overrides.get(steamID);
+        if (override && override.type !== OVERRIDE_TYPES.ALWAYS) {
+          report.skipped.push(steamID);
+          continue;
+        }
+        const exists = currentProgress.has(steamID);
+        const oldProgress = exists ? currentProgress.get(steamID) : 0;
+        let newProgress = progress;
+        if (mode === 'max') newProgress = Math.max(oldProgress, progress);
+        if (mode === 'add') newProgress = oldProgress + progress;
+
+        if (exists && newProgress === oldProgress) {
+          report.unchanged++;
+          continue;
+        }
+        report[exists ? 'updated' : 'created']++;
+        changes.push({ steamID, oldProgress, newProgress });
+      }
+
+      if (dryRun || changes.length === 0) return;
+      await this.WhitelistProgressModel.bulkCreate(
+        changes.map(({ steamID, newProgress }) => ({
+          steamID,
+          serverID: this.progressServerID,
+          progress: newProgress,
+          lastProgressed: now,
+          lastServerID: this.serverID,
+          eosID: identities.has(steamID) ? identities.get(steamID).eosID : null
+        })),
+        { updateOnDuplicate: ['progress', 'updatedAt'], transaction }
+      );
+    });
+
+    if (dryRun) {
+      report.changes = changes;
+      this.logDebug(`Dry run of ${filePath}:`, JSON.stringify(report));
+      return report;
+    }
+
+    await this.saveProgressEvents(
+      changes.flatMap(({ steamID, oldProgress, newProgress }) =>
+        this.buildProgressEvents(steamID, oldProgress, newProgress, PROGRESS_REASONS.IMPORT, {
+          author
+        })
+      )
+    );
+    await this.refreshWhitelistStatus();
+    this.logDebug(`Import of ${filePath} complete:`, JSON.stringify(report));
+    return report;
+  }
+
+  /**
+   * Summarises an import report for an admin warning message.
+   * @param {object} report - The report returned by `importProgress`.
+   * @returns {string}
+   */
+  formatImportReport(report) {
+    const lines = [
+      `${report.dryRun ? 'Dry run' : 'Import'} of ${path.basename(report.file)} (${report.mode})`,
+      `${report.created} new, ${report.updated} updated, ${report.unchanged} unchanged`
+    ];
+    if (report.skipped.length > 0) {
+      lines.push(
+        `${report.skipped.length} skipped for a never or frozen override: ${report.skipped.join(
+          ', '
+        )}`
+      );
+    }
+    if (report.errors.length > 0) {
+      lines.push(`${report.errors.length} invalid rows, e.g. ${report.errors[0]}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Imports the file configured in `importPath` on mount. After a real import the file is
+   * renamed so that restarting SquadJS does not import it again (which would double it in
+   * 'add' mode).
+   */
+  async importOnMount() {
+    const filePath = this.resolveServerPath(this.options.importPath);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      this.logDebug(`Import file ${filePath} not found. Skipping import on mount.`);
+      return;
+    }
+
+    try {
+      const report = await this.importProgress(filePath, this.options.importMode, {
+        dryRun: this.options.importDryRun,
+        author: 'import'
+      });
+      this.logDebug(this.formatImportReport(report).replace(/\n/g, '. '));
+      for (const error of report.errors) {
+        this.logDebug(`[WARNING] Import ${error}`);
+      }
+      if (!report.dryRun) {
+        await fs.rename(filePath, `${filePath}.imported`);
+        this.logDebug(`Renamed ${filePath} to ${filePath}.imported.`);
+      }
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to import progress on mount:', error);
+    }
+  }
+
+  /**
+   * Applies a manual progress adjustment to a player, creating their record if needed.
+   * Progress never goes below 0. `lastProgressed` is only set for new records, so manual
+   * changes do not count as leadership activity for decay purposes.
+   * @param {string} steamID - The player's SteamID.
+   * @param {string} action - One of 'set', 'add', 'remove' or 'reset'.
+   * @param {number} amount - The value to set, add or remove. Ignored for 'reset'.
+   * @param {?string} author - The SteamID of the admin making the change, if any.
+   * @returns {Promise<{ oldProgress: number, newProgress: number }>}
+   */
+  async adjustProgress(steamID, action, amount = 0, author = null) {
+    this.logDebug(
+      `Adjusting progress for SteamID: ${steamID}. Action: ${action}, amount: ${amount}`
+    );
+    if (!['set', 'add', 'remove', 'reset'].includes(action)) {
+      throw new Error(`Unknown progress adjustment action: ${action}`);
+    }
+
+    let oldProgress = 0;
+    let newProgress = 0;
+    await this.writeTransaction(async (transaction) => {
+      let playerRecord = await this.WhitelistProgressModel.findOne({
+        where: this.scopeWhere({ steamID }),
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      oldProgress = playerRecord ? playerRecord.progress : 0;
+
+      switch (action) {
+        case 'set':
+          newProgress = amount;
+          break;
+        case 'add':
+          newProgress = oldProgress + amount;
+          break;
+        case 'remove':
+          newProgress = oldProgress - amount;
+          break;
+        case 'reset':
+          newProgress = 0;
+          break;
+      }
+      newProgress = Math.max(0, newProgress);
+
+      if (!playerRecord) {
+        this.logDebug(`No existing record found for ${steamID}. Creating a new record.`);
+        const identity = await this.WhitelistPlayerModel.findByPk(steamID, { transaction });
+        playerRecord = await this.WhitelistProgressModel.create(
+          {
+            steamID,
+            serverID: this.progressServerID,
+            progress: newProgress,
+            lastProgressed: new Date(),
+            lastServerID: this.serverID,
+            eosID: identity ? identity.eosID : null
+          },
+          { transaction }
+        );
+      } else {
+        playerRecord.progress = newProgress;
+        await playerRecord.save({ transaction });
+      }
+    });
+
+    await this.recordProgressEvent(steamID, oldProgress, newProgress, PROGRESS_REASONS.MANUAL, {
+      author
+    });
+    await this.refreshWhitelistStatus();
+
+    this.logDebug(`Progress for ${steamID} adjusted from ${oldProgress} to ${newProgress}.`);
+    return { oldProgress, newProgress };
+  }
+
+  /**
+   * Loads the current season of this instance's scope. Season 1 is started on mount.
+   * @returns {Promise<{ serverID: string, season: number, startedAt: Date }>}
+   */
+  async getCurrentSeason() {
+    return this.WhitelistSeasonModel.findByPk(this.progressServerID, { raw: true });
+  }
+
+  /**
+   * Works out when a season is scheduled to end.
+   * @param {object} season - A WhitelistSeason record.
+   * @returns {?Date} The scheduled end, or null if `seasonLengthDays` is 0.
+   */
+  getSeasonEnd(season) {
+    if (this.options.seasonLengthDays <= 0) return null;
+    return new Date(
+      new Date(season.startedAt).getTime() + this.options.seasonLengthDays * 24 * 60 * 60 * 1000
+    );
+  }
+
+  /**
+   * Ends the current season if it has run for `seasonLengthDays`. Called hourly.
+   */
+  async checkSeasonEnd() {
+    if (this.options.seasonLengthDays <= 0) return;
+    try {
+      const current = await this.getCurrentSeason();
+      const endsAt = this.getSeasonEnd(current);
+      if (Date.now() < endsAt.getTime()) {
+        this.logDebug(`Season ${current.season} ends at ${endsAt.toISOString()}.`);
+        return;
+      }
+      await this.endSeason(current.season, {
+        carryOverPercent: this.options.seasonCarryOverPercent
+      });
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to check for the end of the season:', error);
+    }
+  }
+
+  /**
+   * Ends a season: archives every player's final progress and rank, reduces everyone's progress
+   * to `carryOverPercent`, and starts the next season. Players with an active frozen or never
+   * override are archived but keep their progress. The season number only advances if it
+   * is still `season`, so when several servers share a pooled scope only one of them ends it.
+   * Whitelist membership then follows the usual rules, including `removalGraceHours`.
+   * @param {number} season - The season being ended.
+   * @param {object} options
+   * @param {number} options.carryOverPercent - The percentage of progress players keep.
+   * @param {?string} [options.author] - The admin who ended the season, if any.
+   * @returns {Promise<?{ season: number, players: number }>} Null if the season had already ended.
+   */
+  async endSeason(season, { carryOverPercent, author = null }) {
+    const now = new Date();
+    const factor = Math.min(100, Math.max(0, carryOverPercent)) / 100;
+    let records = null;
+    let exemptSteamIDs = new Set();
+
+    await this.writeTransaction(async (transaction) => {
+      const [advanced] = await this.WhitelistSeasonModel.update(
+        { season: season + 1, startedAt: now },
+        { where: this.scopeWhere({ season }), transaction }
+      );
+      if (advanced === 0) return;
+
+      exemptSteamIDs = new Set(
+        [...(await this.getActiveOverrides(null, transaction)).values()]
+          .filter((override) =>
+            [OVERRIDE_TYPES.FROZEN, OVERRIDE_TYPES.NEVER].includes(override.type)
+          )
+          .map((override) => override.steamID)
+      );
+      records = await this.WhitelistProgressModel.findAll({
+        where: this.scopeWhere({ progress: { [Op.gt]: 0 } }),
+        attributes: ['steamID', 'progress', 'whitelisted'],
+        order: [['progress', 'DESC']],
+        raw: true,
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      // Tied players share a rank, as in `getProgressRank`.
+      let rank = 0;
+      const results = records.map((record, index) => {
+        if (index === 0 || record.progress < records[index - 1].progress) rank = index + 1;
+        return {
+          season,
+          serverID: this.progressServerID,
+          steamID: record.steamID,
+          progress: record.progress,
+          rank,
+          total: records.length,
+          whitelisted: Boolean(record.whitelisted),
+          endedAt: now
+        };
+      });
+      await this.WhitelistSeasonResultModel.bulkCreate(results, { transaction });
+      records = results;
+
+      await this.WhitelistProgressModel.update(
+        { progress: Sequelize.literal(`progress * ${factor}`) },
+        {
+          where: this.scopeWhere({
+            progress: { [Op.gt]: 0 },
+            steamID: { [Op.notIn]: [...exemptSteamIDs] }
+          }),
+          transaction
+        }
+      );
+    });
+
+    if (!records) {
+      this.logDebug(`Season ${season} was already ended by another instance.`);
+      return null;
+    }
+    this.logDebug(
+      `Season ${season} ended. Archived ${records.length} players, ` +
+        `keeping ${carryOverPercent}% of progress.`
+    );
+
+    await this.saveProgressEvents(
+      records
+        .filter((result) => !exemptSteamIDs.has(result.steamID))
+        .flatMap((result) =>
+          this.buildProgressEvents(
+            result.steamID,
+            result.progress,
+            result.progress * factor,
+            PROGRESS_REASONS.SEASON_RESET,
+            { author }
+          )
+        )
+    );
+    // Held session credit belongs to the season that just ended.
+    for (const session of this.leadershipSessions.values()) session.heldProgress = 0;
+    await this.refreshWhitelistStatus();
+
+    const onlineSteamIDs = new Set((this.server.players || []).map((p) => p.steamID));
+    for (const result of records) {
+      if (!onlineSteamIDs.has(result.steamID)) continue;
+      this.sendPlayerMessage(result.steamID, [
+        this.formatMessage(result.steamID, 'seasonEnded', {
+          season,
+          rank: result.rank,
+          total: result.total,
+          carryOver: exemptSteamIDs.has(result.steamID) ? 100 : Math.round(factor * 100)
+        })
+      ]);
+    }
+    return { season, players: records.length };
+  }
+
+  /**
+   * Describes the current season and the player's results in past seasons for `!slwl`, in
+   * their language. Returns nothing until seasons are in use.
+   * @param {string} steamID - The player's SteamID.
+   * @returns {Promise<string[]>}
+   */
+  async describeSeasons(steamID) {
+    const current = await this.getCurrentSeason();
+    if (this.options.seasonLengthDays <= 0 && current.season === 1) return [];
+
+    const t = (key, params) => this.formatMessage(steamID, key, params);
+    const endsAt = this.getSeasonEnd(current);
+    const lines = [
+      endsAt
+        ? t('seasonEnds', {
+            season: current.season,
+            duration: this.formatDuration(Math.max(0, endsAt.getTime() - Date.now()))
+          })
+        : t('season', { season: current.season })
+    ];
+    if (this.options.seasonHistoryShown <= 0) return lines;
+
+    const results = await this.WhitelistSeasonResultModel.findAll({
+      where: this.scopeWhere({ steamID }),
+      order: [['season', 'DESC']],
+      limit: this.options.seasonHistoryShown,
+      raw: true
+    });
+    for (const result of results) {
+      lines.push(
+        t('seasonResult', {
+          season: result.season,
+          rank: result.rank,
+          total: result.total,
+          percentage: Math.round((result.progress / this.whitelistThreshold) * 100)
+        })
+      );
+    }
+    return lines;
+  }
+
+  /**
+   * Loads the overrides in this instance's scope that have not expired. Expired rows are kept
+   * for reference until they are replaced or cleared.
+   * @param {?string[]} [steamIDs] - Only load overrides for these players. Loads all if omitted.
+   * @param {?Transaction} [transaction] - A transaction to read them in.
+   * @returns {Promise<Map<string, object>>} SteamID → override.
+   */
+  async getActiveOverrides(steamIDs = null, transaction = null) {
+    if (steamIDs && steamIDs.length === 0) return new Map();
+    const where = this.scopeWhere({
+      [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+    });
+    if (steamIDs) where.steamID = { [Op.in]: steamIDs };
+    const overrides = await this.WhitelistOverrideModel.findAll({ where, raw: true, transaction });
+    return new Map(overrides.map((override) => [override.steamID, override]));
+  }
+
+  /**
+   * Sets a player's override, replacing any existing one, and regenerates the whitelist.
+   * @param {string} steamID - The player's SteamID.
+   * @param {string} type - One of OVERRIDE_TYPES.
+   * @param {object} [details]
+   * @param {?string} [details.reason] - Why the override was set.
+   * @param {?string} [details.author] - The admin who set it.
+   * @param {?Date} [details.expiresAt] - When it ends, or null for never.
+   */
+  async setOverride(steamID, type, { reason = null, author = null, expiresAt = null } = {}) {
+    if (!Object.values(OVERRIDE_TYPES).includes(type)) {
+      throw new Error(`Unknown override type: ${type}`);
+    }
+    await this.WhitelistOverrideModel.upsert({
+      steamID,
+      serverID: this.progressServerID,
+      type,
+      reason,
+      author,
+      expiresAt
+    });
+    // A new override must not pay out credit held from before it was set.
+    if (type !== OVERRIDE_TYPES.ALWAYS) this.leadershipSessions.delete(steamID);
+    this.logDebug(`Set ${type} override for ${steamID}.`);
+    this.scheduleWhitelistRegeneration(`override set for ${steamID}`);
+  }
+
+  /**
+   * Removes a player's override and regenerates the whitelist.
+   * @param {string} steamID - The player's SteamID.
+   * @returns {Promise<boolean>} Whether there was an override to remove.
+   */
+  async clearOverride(steamID) {
+    const removed = await this.WhitelistOverrideModel.destroy({
+      where: this.scopeWhere({ steamID })
+    });
+    if (removed === 0) return false;
+    this.logDebug(`Cleared override for ${steamID}.`);
+    this.scheduleWhitelistRegeneration(`override cleared for ${steamID}`);
+    return true;
+  }
+
+  /**
+   * Parses an override duration such as `12h`, `7d` or `4w`.
+   * @param {string} text - The duration.
+   * @returns {?number} The duration in ms, or null if the text is not a duration.
+   */
+  parseDuration(text) {
+    const match = /^(\d+(?:\.\d+)?)([hdw])$/i.exec(text);
+    if (!match) return null;
+    const hours = { h: 1, d: 24, w: 24 * 7 }[match[2].toLowerCase()];
+    return Number(match[1]) * hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Describes an override to the player it applies to, in their language.
+   * @param {object} override - A WhitelistOverride record.
+   * @returns {string[]}
+   */
+  describeOverride(override) {
+    const t = (key, params) => this.formatMessage(override.steamID, key, params);
+    const keys = {
+      [OVERRIDE_TYPES.ALWAYS]: 'overrideAlways',
+      [OVERRIDE_TYPES.NEVER]: 'overrideNever',
+      [OVERRIDE_TYPES.FROZEN]: 'overrideFrozen'
+    };
+    const lines = [t(keys[override.type])];
+    if (override.reason) lines.push(t('overrideReason', { reason: override.reason }));
+    if (override.expiresAt) {
+      lines.push(
+        t('overrideExpires', {
+          duration: this.formatDuration(Math.max(0, new Date(override.expiresAt) - Date.now()))
+        })
+      );
+    }
+    return lines;
+  }
+
+  /**
+   * Starts the local HTTP API if `apiPort` is set. Requires `apiToken` to be set as well.
+   */
+  async startApiServer() {
+    if (!this.options.apiPort) {
+      this.logDebug('apiPort is not set. HTTP API disabled.');
+      return;
+    }
+    if (!this.options.apiToken) {
+      this.logDebug('[ERROR] apiPort is set but apiToken is empty. Refusing to start HTTP API.');
+      return;
+    }
+
+    this.logDebug(`Starting HTTP API on ${this.options.apiHost}:${this.options.apiPort}...`);
+    try {
+      this.apiServer = http.createServer((req, res) => this.handleApiRequest(req, res));
+      await new Promise((resolve, reject) => {
+        this.apiServer.once('error', reject);
+        this.apiServer.listen(this.options.apiPort, this.options.apiHost, resolve);
+      });
+      this.logDebug('HTTP API started successfully.');
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to start HTTP API:', error);
+      this.apiServer = null;
+    }
+  }
+
+  /**
+   * Routes a single HTTP API request. Mutations go through `adjustProgress` and
+   * `generateWhitelistFile`, the same code paths used by the chat commands and intervals.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   */
+  async handleApiRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean);
+    this.logDebug(`HTTP API request: ${req.method} ${url.pathname}`);
+
+    try {
+      if (!this.isApiRequestAuthorized(req)) {
+        this.sendJson(res, 401, { error: 'Unauthorized' });
+        return;
+      }
+
+      if (req.method === 'GET' && url.pathname === '/leaderboard') {
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 25, 1), 500);
+        const records = await this.WhitelistProgressModel.findAll({
+          where: this.scopeWhere(),
+          order: [['progress', 'DESC']],
+          limit
+        });
+        const identities = await this.getPlayerIdentities(records.map((r) => r.steamID));
+        this.sendJson(res, 200, {
+          threshold: this.whitelistThreshold,
+          tiers: this.hasTiers ? this.tiers : [],
+          players: records.map((record, index) => ({
+            rank: index + 1,
+            ...this.serializeProgress(record, identities.get(record.steamID))
+          }))
+        });
+        return;
+      }
+
+      if (req.method === 'GET' && url.pathname === '/players') {
+        const search = (url.searchParams.get('search') || '').trim();
+        if (!search) {
+          this.sendJson(res, 400, { error: 'search is required.' });
+          return;
+        }
+        const matches = await this.searchPlayersByName(search, 25);
+        const records = await this.WhitelistProgressModel.findAll({
+          where: this.scopeWhere({ steamID: { [Op.in]: matches.map((m) => m.steamID) } })
+        });
+        const recordsBySteamID = new Map(records.map((r) => [r.steamID, r]));
+        this.sendJson(res, 200, {
+          players: matches.map((identity) => {
+            const record = recordsBySteamID.get(identity.steamID);
+            return record
+              ? this.serializeProgress(record, identity)
+              : { ...this.serializeIdentity(identity), progress: 0, whitelisted: false };
+          })
+        });
+        return;
+      }
+
+      if (segments[0] === 'players' && /^\d{17}$/.test(segments[1] || '')) {
+        const steamID = segments[1];
+
+        if (req.method === 'GET' && segments.length === 2) {
+          const record = await this.WhitelistProgressModel.findOne({
+            where: this.scopeWhere({ steamID })
+          });
+          if (!record) {
+            this.sendJson(res, 404, { error: 'No progress found for this player.' });
+            return;
+          }
+          const identity = await this.WhitelistPlayerModel.findByPk(steamID, { raw: true });
+          this.sendJson(res, 200, this.serializeProgress(record, identity));
+          return;
+        }
+
+        if (req.method === 'POST' && segments.length === 3 && segments[2] === 'adjust') {
+          const body = await this.readJsonBody(req);
+          const amount = Number(body.amount || 0);
+          if (!['set', 'add', 'remove', 'reset'].includes(body.action)) {
+            this.sendJson(res, 400, { error: 'action must be one of set, add, remove, reset.' });
+            return;
+          }
+          if (!Number.isFinite(amount) || amount < 0) {
+            this.sendJson(res, 400, { error: 'amount must be a non-negative number.' });
+            return;
+          }
+          const result = await this.adjustProgress(
+            steamID,
+            body.action,
+            amount,
+            body.author ? String(body.author) : 'api'
+          );
+          this.sendJson(res, 200, { steamID, ...result });
+          return;
+        }
+      }
+
+      if (req.method === 'POST' && url.pathname === '/whitelist/generate') {
+        await this.generateWhitelistFile();
+        this.sendJson(res, 200, { generated: true });
+        return;
+      }
+
+      if (req.method === 'GET' && url.pathname === '/config') {
+        // Webhook URLs carry their own secret token, so only their origin is shown.
+        const { database, apiToken, webhooks, ...config } = this.options;
+        this.sendJson(res, 200, {
+          ...config,
+          webhooks: (webhooks || []).map((target) => ({
+            ...target,
+            url: this.maskWebhookUrl(target && target.url)
+          }))
+        });
+        return;
+      }
+
+      this.sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+      this.logDebug(`[ERROR] HTTP API request ${req.method} ${url.pathname} failed:`, error);
+      const status = error instanceof SyntaxError ? 400 : 500;
+      this.sendJson(res, status, {
+        error: status === 400 ? 'Invalid JSON body.' : 'Internal error'
+      });
+    }
+  }
+
+  /**
+   * Checks the request's bearer token against `apiToken` using a constant-time comparison.
+   * @param {http.IncomingMessage} req - The request.
+   * @returns {boolean}
+   */
+  isApiRequestAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(this.options.apiToken);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Reads and parses a JSON request body. An empty body parses to an empty object, and anything
+   * other than an object (`null`, arrays, strings, numbers) is rejected like invalid JSON.
+   * @param {http.IncomingMessage} req - The request.
+   * @returns {Promise<object>}
+   */
+  async readJsonBody(req) {
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+      if (body.length > 64 * 1024) throw new SyntaxError('Request body too large.');
+    }
+    const parsed = body ? JSON.parse(body) : {};
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new SyntaxError('Request body must be a JSON object.');
+    }
+    return parsed;
+  }
+
+  /**
+   * Writes a JSON response.
+   * @param {http.ServerResponse} res - The response.
+   * @param {number} status - The HTTP status code.
+   * @param {object} payload - The response body.
+   */
+  sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  /**
+   * Converts a WhitelistProgress record into the shape returned by the HTTP API.
+   * @param {object} record - A WhitelistProgress record.
+   * @returns {object}
+   */
+  serializeProgress(record, identity = null) {
+    return {
+      ...this.serializeIdentity(identity || { steamID: record.steamID, eosID: record.eosID }),
+      serverID: record.serverID,
+      progress: record.progress,
+      percentage: Math.round((record.progress / this.whitelistThreshold) * 100),
+      whitelisted: record.whitelisted,
+      belowThresholdSince: record.belowThresholdSince,
+      whitelistedAt: record.whitelistedAt,
+      tier:
+        this.hasTiers && this.getTier(record.progress) ? this.getTier(record.progress).name : null,
+      lastProgressed: record.lastProgressed,
+      lastServerID: record.lastServerID
+    };
+  }
+
+  /**
+   * Converts a WhitelistPlayer row into the identity fields of an API response.
+   * @param {object} identity - A WhitelistPlayer row, or at least a steamID.
+   * @returns {object}
+   */
+  serializeIdentity(identity) {
+    return {
+      steamID: identity.steamID,
+      eosID: identity.eosID || null,
+      name: identity.name || null,
+      nameHistory: this.parseNameHistory(identity.nameHistory),
+      firstSeen: identity.firstSeen || null,
+      lastSeen: identity.lastSeen || null
+    };
+  }
+
+  /**
+   * Starts a new leadership session for a leader, discarding any previous one.
+   * @param {string} steamID - The leader's SteamID.
+   * @param {Date} now - When the session starts.
+   */
+  startLeadershipSession(steamID, now) {
+    this.leadershipSessions.set(steamID, {
+      startedAt: now.getTime(),
+      lastCreditedAt: now.getTime(),
+      heldProgress: 0
+    });
+  }
+
+  /**
+   * Reduces this tick's credits so no player earns more than `dailyProgressCap` per UTC day.
+   * Progress already earned today is read from the ledger, so the cap holds across restarts
+   * and, with a pooled whitelist, across servers. Credits reduced to 0 are removed.
+   * @param {Array<{ leader: object, progressIncrement: number }>} credits - Modified in place.
+   * @param {Date} now - The time of this tick.
+   */
+  async applyDailyProgressCap(credits, now) {
+    const cap = this.options.dailyProgressCap;
+    if (cap <= 0 || credits.length === 0) return;
+
+    const dayStart = new Date(now);
+    dayStart.setUTCHours(0, 0, 0, 0);
+    const where = {
+      steamID: { [Op.in]: credits.map((credit) => credit.leader.steamID) },
+      reason: { [Op.in]: [PROGRESS_REASONS.GAIN, PROGRESS_REASONS.MATCH_BONUS] },
+      timestamp: { [Op.gte]: dayStart }
+    };
+    if (this.progressServerID !== POOLED_SERVER_ID) where.serverID = this.serverID;
+
+    const earnedRows = await this.WhitelistProgressEventModel.findAll({
+      where,
+      attributes: ['steamID', [Sequelize.fn('SUM', Sequelize.col('delta')), 'earned']],
+      group: ['steamID'],
+      raw: true
+    });
+    const earnedToday = new Map(earnedRows.map((row) => [row.steamID, Number(row.earned) || 0]));
+
+    for (let i = credits.length - 1; i >= 0; i--) {
+      const credit = credits[i];
+      const remaining = cap - (earnedToday.get(credit.leader.steamID) || 0);
+      if (credit.progressIncrement <= remaining) continue;
+
+      this.logDebug(
+        `${credit.leader.name} has reached the daily cap of ${cap}. Limiting credit to ${Math.max(
+          0,
+          remaining
+        ).toFixed(4)}.`
+      );
+      if (remaining <= 0) {
+        credits.splice(i, 1);
+      } else {
+        credit.progressIncrement = remaining;
+      }
+    }
+  }
+
+  /**
+   * Marks the players involved in a combat event as active for `activeMembersOnly`.
+   * @param {object} info - The event data. Any of attacker, victim and reviver may be set.
+   */
+  onCombatActivity(info) {
+    for (const player of [info.attacker, info.victim, info.reviver]) {
+      if (player && player.steamID) this.activePlayers.add(player.steamID);
+    }
+  }
+
+  /**
+   * Checks all players for eligibility and awards progress. Leaders earn credit for the time
+   * since their last credit, so the first tick of a session earns nothing: the time led before
+   * it was never observed. A reconnect or retaken lead thus costs up to one progress interval.
+   */
+  async onPlayerInformationUpdate(players) {
+    this.logDebug('Player information update received. Checking for eligible leaders.');
+
+    if (!Array.isArray(players) || players.length === 0) {
+      this.logDebug('No players found or squads is not an array. Skipping update.');
+      return;
+    }
+    this.logDebug(`Total players received in update: ${players.length}`);
+
+    // The interval and UPDATED_PLAYER_INFORMATION can overlap. Elapsed-time crediting makes a
+    // second pass harmless, but running two passes at once would race on the same rows.
+    if (this.progressUpdateRunning) {
+      this.logDebug('A progress update is already running. Skipping this one.');
+      return;
+    }
+    this.progressUpdateRunning = true;
+
+    try {
+      const now = new Date();
+      let eligibleLeaders = [];
+      const squadSizes = new Map();
+
+      const seeding = this.isSeeding(players.length);
+      const minSquadMembers = seeding
+        ? this.options.seedingMinSquadMembers
+        : this.options.minSquadMembers;
+      if (seeding !== this.seedingActive) {
+        this.logDebug(`Seeding mode ${seeding ? 'started' : 'ended'}.`);
+        if (!seeding) this.notifySeedingEnded();
+        this.seedingActive = seeding;
+      }
+
+      await this.updatePlayerIdentities(players, now);
+
+      this.logDebug('Iterating through all players to find eligible leaders.');
+      for (const player of players) {
+        this.logDebug(`Checking player: ${player.name} (SteamID: ${player.steamID})`);
+        // The commander leads a one-man squad, so they bypass the squad size and lock checks.
+        if (player && player.squad && player.isLeader && this.isCommander(player)) {
+          if (this.options.commanderMultiplier > 0) {
+            this.logDebug(`Player ${player.name} is the commander and is eligible.`);
+            eligibleLeaders.push(player);
+            squadSizes.set(player.steamID, 1);
+          } else {
+            this.logDebug(
+              `Player ${player.name} is the commander. Commander progress is disabled.`
+            );
+          }
+          continue;
+        }
+
+        // Ensure player object and squad exist
+        if (player && player.squad && player.isLeader) {
+          this.logDebug(
+            `Player ${player.name} is a squad leader in squad ${player.squad.squadName}.`
+          );
+          // Check if squad meets min member requirement. With activeMembersOnly, members who
+          // have not been in combat this match are assumed to be sitting in main.
+          const squadMembers = players.filter(
+            (p) =>
+              p.squad &&
+              p.squad.squadID === player.squad.squadID &&
+              p.teamID === player.teamID &&
+              (!this.options.activeMembersOnly ||
+                p.steamID === player.steamID ||
+                this.activePlayers.has(p.steamID))
+          );
+          this.logDebug(
+            `Squad members count: ${squadMembers.length}. Minimum required: ${minSquadMembers}.`
+          );
+          if (squadMembers.length >= minSquadMembers) {
+            // Corrected logic: Check if squad is unlocked by converting the string to lowercase and comparing.
+            const lockedString = String(player.squad.locked).toLowerCase();
+            const isUnlocked = !this.options.onlyOpenSquads || lockedString === 'false';
+            this.logDebug(
+              `onlyOpenSquads option is ${this.options.onlyOpenSquads}. player.squad.locked is ${
+                player.squad.locked
+              } (type: ${typeof player.squad.locked}).`
+            );
+            this.logDebug(
+              `The logical check (!${this.options.onlyOpenSquads} || ${lockedString} === 'false') evaluates to ${isUnlocked}.`
+            );
+            if (isUnlocked) {
+              this.logDebug(`Player ${player.name} is an eligible leader.`);
+              eligibleLeaders.push(player);
+              squadSizes.set(player.steamID, squadMembers.length);
+            } else {
+              this.logDebug(
+                `Player ${player.name} is a leader but their squad is locked. Not eligible for progress.`
+              );
+            }
+          } else {
+            this.logDebug(
+              `Player ${player.name} is a leader but their squad does not meet the minimum member requirement.`
+            );
+          }
+        } else {
+          this.logDebug(
+            `Player ${player.name} is not a squad leader or does not belong to a squad. Skipping.`
+          );
+        }
+      }
+
+      // Leaders with a never or frozen override do not earn progress.
+      const overrides = await this.getActiveOverrides(
+        eligibleLeaders.map((leader) => leader.steamID)
+      );
+      eligibleLeaders = eligibleLeaders.filter((leader) => {
+        const override = overrides.get(leader.steamID);
+        if (!override || override.type === OVERRIDE_TYPES.ALWAYS) return true;
+        this.logDebug(`Player ${leader.name} has a ${override.type} override. Not eligible.`);
+        return false;
+      });
+
+      this.logDebug(`Found a total of ${eligibleLeaders.length} eligible squad leaders.`);
+
+      // Leaders who are no longer eligible have ended their session. Credit held back for a
+      // session that never reached minSessionMinutes is forfeited.
+      const eligibleSteamIDs = new Set(eligibleLeaders.map((leader) => leader.steamID));
+      this.trackMatchLeadership(eligibleLeaders, players, now);
+      for (const [steamID, session] of this.leadershipSessions) {
+        if (!eligibleSteamIDs.has(steamID)) {
+          this.logDebug(
+            `Ending leadership session for SteamID: ${steamID}. Forfeiting ${session.heldProgress.toFixed(
+              4
+            )} held progress.`
+          );
+          this.leadershipSessions.delete(steamID);
+        }
+      }
+
+      // Award progress to eligible leaders for the time elapsed since their last credit.
+      const maxGapMilliseconds = this.options.maxCreditGapSeconds * 1000;
+      const minSessionMilliseconds = this.options.minSessionMinutes * 60 * 1000;
+      const credits = [];
+
+      this.logDebug('Iterating through eligible leaders to calculate progress.');
+      for (const leader of eligibleLeaders) {
+        this.logDebug(`Processing eligible leader: ${leader.name} (SteamID: ${leader.steamID})`);
+        const session = this.leadershipSessions.get(leader.steamID);
+
+        if (!session) {
+          this.logDebug(`Starting a new leadership session for ${leader.name}. No credit yet.`);
+          this.startLeadershipSession(leader.steamID, now);
+          if (seeding) this.notifySeedingBonus(leader);
+          continue;
+        }
+
+        const elapsedMilliseconds = now.getTime() - session.lastCreditedAt;
+        if (elapsedMilliseconds > maxGapMilliseconds) {
+          this.logDebug(
+            `${elapsedMilliseconds}ms since ${leader.name} was last credited exceeds the ${maxGapMilliseconds}ms cap. Starting a new session.`
+          );
+          this.startLeadershipSession(leader.steamID, now);
+          continue;
+        }
+        session.lastCreditedAt = now.getTime();
+
+        const baseIncrement = this.options.progressPerHour * (elapsedMilliseconds / 3600000);
+        this.logDebug(
+          `Base progress increment for ${elapsedMilliseconds}ms of leadership: ${baseIncrement.toFixed(
+            4
+          )}`
+        );
+        const multipliers = this.calculateProgressMultipliers(
+          leader,
+          squadSizes.get(leader.steamID),
+          players.length,
+          seeding
+        );
+        this.logDebug(
+          `Multipliers for ${leader.name}: fill ${multipliers.fill.toFixed(2)}, ` +
+            `squad type ${multipliers.squadType.toFixed(2)}, ` +
+            `population ${multipliers.population.toFixed(2)}, ` +
+            `commander ${multipliers.commander.toFixed(2)}, ` +
+            `seeding ${multipliers.seeding.toFixed(2)} → total ${multipliers.total.toFixed(2)}`
+        );
+        let progressIncrement = baseIncrement * multipliers.total;
+        if (seeding && this.options.seedingBonusPerHour > 0) {
+          progressIncrement += this.options.seedingBonusPerHour * (elapsedMilliseconds / 3600000);
+        }
+
+        const sessionMilliseconds = now.getTime() - session.startedAt;
+        if (sessionMilliseconds < minSessionMilliseconds) {
+          if (this.options.creditQualifyingTime) session.heldProgress += progressIncrement;
+          this.logDebug(
+            `${
+              leader.name
+            } has led for ${sessionMilliseconds}ms of the required ${minSessionMilliseconds}ms. Holding ${session.heldProgress.toFixed(
+              4
+            )} progress.`
+          );
+          continue;
+        }
+        if (session.heldProgress > 0) {
+          this.logDebug(
+            `${
+              leader.name
+            } reached the minimum session length. Paying ${session.heldProgress.toFixed(
+              4
+            )} held progress.`
+          );
+          progressIncrement += session.heldProgress;
+          session.heldProgress = 0;
+        }
+
+        if (progressIncrement <= 0) {
+          this.logDebug(`Progress increment for ${leader.name} is 0. Skipping.`);
+          continue;
+        }
+
+        credits.push({ leader, progressIncrement });
+      }
+
+      await this.applyDailyProgressCap(credits, now);
+
+      if (credits.length === 0) {
+        this.logDebug('No leaders to credit this tick.');
+      } else {
+        // Read every credited row and write them back in one upsert inside a single transaction.
+        let updates = [];
+        await this.writeTransaction(async (transaction) => {
+          const records = await this.WhitelistProgressModel.findAll({
+            where: this.scopeWhere({
+              steamID: { [Op.in]: credits.map((credit) => credit.leader.steamID) }
+            }),
+            attributes: ['steamID', 'progress', 'eosID'],
+            raw: true,
+            lock: transaction.LOCK.UPDATE,
+            transaction
+          });
+          const currentRecords = new Map(records.map((record) => [record.steamID, record]));
+          this.logDebug(
+            `Loaded ${records.length} existing records for ${credits.length} credited leaders.`
+          );
+
+          updates = credits.map(({ leader, progressIncrement }) => {
+            const current = currentRecords.get(leader.steamID);
+            const oldProgress = current ? current.progress : 0;
+            return {
+              leader,
+              eosID: leader.eosID || (current ? current.eosID : null) || null,
+              oldProgress,
+              newProgress: oldProgress + progressIncrement
+            };
+          });
+
+          await this.WhitelistProgressModel.bulkCreate(
+            updates.map(({ leader, eosID, newProgress }) => ({
+              steamID: leader.steamID,
+              serverID: this.progressServerID,
+              progress: newProgress,
+              lastProgressed: now,
+              lastServerID: this.serverID,
+              eosID
+            })),
+            {
+              updateOnDuplicate: [
+                'progress',
+                'lastProgressed',
+                'lastServerID',
+                'eosID',
+                'updatedAt'
+              ],
+              transaction
+            }
+          );
+        });
+
+        const events = [];
+        for (const { leader, oldProgress, newProgress } of updates) {
+          this.logDebug(
+            `Awarded progress to: ${leader.name}. Progress: ${oldProgress.toFixed(
+              2
+            )} → ${newProgress.toFixed(2)}`
+          );
+          this.notifyProgressMilestone(leader, oldProgress, newProgress);
+          const matchStats = this.matchLeaders.get(leader.steamID);
+          if (matchStats) matchStats.progressEarned += newProgress - oldProgress;
+          events.push(
+            ...this.buildProgressEvents(
+              leader.steamID,
+              oldProgress,
+              newProgress,
+              PROGRESS_REASONS.GAIN,
+              { squadSize: squadSizes.get(leader.steamID), playerCount: players.length }
+            )
+          );
+        }
+        await this.saveProgressEvents(events);
+      }
+
+      await this.refreshWhitelistStatus();
+      await this.warnPlayersNearRemoval(players);
+      await this.sendBroadcasts(players, seeding);
+
+      this.logDebug(
+        `Finished awarding progress. Tick took ${Date.now() - now.getTime()}ms for ${
+          eligibleLeaders.length
+        } eligible leaders.`
+      );
+    } catch (error) {
+      this.logDebug('[ERROR] Error in onPlayerInformationUpdate:', error);
+    } finally {
+      this.progressUpdateRunning = false;
+    }
+  }
+
+  /**
+   * Warns a leader when they reach the whitelist or are promoted to a higher tier, or, while
+   * not yet whitelisted, when their progress crosses a multiple of `milestoneStep`.
+   * @param {object} player - The leader.
+   * @param {number} oldProgress - Progress before this tick.
+   * @param {number} newProgress - Progress after this tick.
+   */
+  notifyProgressMilestone(player, oldProgress, newProgress) {
+    const step = this.options.milestoneStep;
+    const crossedMilestone =
+      step > 0 && Math.floor(newProgress / step) > Math.floor(oldProgress / step);
+    const oldTier = this.getTier(oldProgress);
+    const newTier = this.getTier(newProgress);
+    const t = (key, params) => this.formatMessage(player.steamID, key, params);
+
+    let message = '';
+    if (newTier && (!oldTier || newTier.threshold > oldTier.threshold)) {
+      if (oldTier) {
+        message = t('promoted', { tier: newTier.name });
+        this.emitWebhookEvent(
+          WEBHOOK_EVENTS.MILESTONE,
+          { title: `${player.name} reached the ${newTier.name} tier` },
+          { steamID: player.steamID, name: player.name, tier: newTier.name, progress: newProgress }
+        );
+      } else if (this.hasTiers) {
+        message = t('nowWhitelistedTier', { tier: newTier.name });
+      } else {
+        message = t('nowWhitelisted');
+      }
+    } else if (!oldTier && crossedMilestone) {
+      const percentage = Math.round((newProgress / this.whitelistThreshold) * 100);
+      message = t('milestone', { percentage, progress: newProgress.toFixed(1) });
+      this.emitWebhookEvent(
+        WEBHOOK_EVENTS.MILESTONE,
+        { title: `${player.name} is ${percentage}% of the way to the whitelist` },
+        { steamID: player.steamID, name: player.name, percentage, progress: newProgress }
+      );
+    } else {
+      return;
+    }
+
+    this.sendPlayerMessage(player.steamID, [message]);
+    this.logDebug(
+      `Sent progress update message to ${player.name}. New progress: ${newProgress.toFixed(2)}`
+    );
+  }
+
+  /**
+   * Checks whether a player is the commander, based on their role or the command squad name.
+   * @param {object} player - A player from `this.server.players`.
+   * @returns {boolean}
+   */
+  isCommander(player) {
+    const role = String(player.role || '').toLowerCase();
+    const squadName = String((player.squad && player.squad.squadName) || '').toLowerCase();
+    return role.includes('commander') || squadName === 'command squad';
+  }
+
+  /**
+   * Builds the progress multiplier pipeline for a single leader. Each stage defaults to 1
+   * when its option is not configured, so the default settings award the flat base rate.
+   * @param {object} player - The eligible leader.
+   * @param {number} squadSize - The number of players in the leader's squad.
+   * @param {number} playerCount - The current server population.
+   * @param {boolean} [seeding] - Whether the server is seeding.
+   * @returns {{ fill: number, squadType: number, population: number, commander: number, seeding: number, total: number }}
+   */
+  calculateProgressMultipliers(player, squadSize, playerCount, seeding = false) {
+    const commander = this.isCommander(player) ? this.options.commanderMultiplier : 1;
+
+    let fill = 1;
+    if (this.options.squadFillWeighting && !this.isCommander(player)) {
+      fill = Math.min(1, squadSize / this.options.maxSquadSize);
+    }
+
+    let squadType = 1;
+    const squadName = String((player.squad && player.squad.squadName) || '').toLowerCase();
+    const squadTypeMatch = (this.options.squadTypeMultipliers || []).find((entry) =>
+      (entry.keywords || []).some((keyword) => squadName.includes(String(keyword).toLowerCase()))
+    );
+    if (squadTypeMatch) {
+      squadType = squadTypeMatch.multiplier;
+    }
+
+    let population = 1;
+    const populationBand = (this.options.populationMultipliers || [])
+      .filter((band) => playerCount >= band.minPlayers)
+      .sort((a, b) => b.minPlayers - a.minPlayers)[0];
+    // The seeding multiplier replaces the population multiplier, which is usually set low for
+    // exactly the player counts seeding covers.
+    if (populationBand && !seeding) {
+      population = populationBand.multiplier;
+    }
+    const seedingMultiplier = seeding ? this.options.seedingMultiplier : 1;
+
+    return {
+      fill,
+      squadType,
+      population,
+      commander,
+      seeding: seedingMultiplier,
+      total: fill * squadType * population * commander * seedingMultiplier
+    };
+  }
+
+  /**
+   * Checks whether the server is seeding: seeding mode is on and either the player count is
+   * within the seeding window or the current layer looks like a seeding layer.
+   * @param {number} playerCount - The current server population.
+   * @returns {boolean}
+   */
+  isSeeding(playerCount) {
+    if (!this.options.seedingMode) return false;
+
+    const layer = this.server.currentLayer;
+    const layerName = String((layer && (layer.name || layer.layerid)) || '').toLowerCase();
+    const isSeedingLayer = (this.options.seedingLayerKeywords || []).some(
+      (keyword) => keyword && layerName.includes(String(keyword).toLowerCase())
+    );
+
+    return (
+      isSeedingLayer ||
+      (playerCount >= this.options.seedingMinPlayers &&
+        playerCount <= this.options.seedingMaxPlayers)
+    );
+  }
+
+  /**
+   * Tells a leader who just started a session that the seeding bonus applies.
+   * @param {object} leader - The eligible leader.
+   */
+  notifySeedingBonus(leader) {
+    this.sendPlayerMessage(leader.steamID, [
+      this.formatMessage(leader.steamID, 'seedingBonus', { bonus: this.describeSeedingBonus() })
+    ]);
+    this.logDebug(`Sent seeding bonus message to ${leader.name}.`);
+  }
+
+  /**
+   * Describes the seeding multiplier and flat bonus for the `{bonus}` placeholder, e.g. ': x2 +5/h',
+   * or returns an empty string if neither is set.
+   * @returns {string}
+   */
+  describeSeedingBonus() {
+    const bonuses = [];
+    if (this.options.seedingMultiplier !== 1) bonuses.push(`x${this.options.seedingMultiplier}`);
+    if (this.options.seedingBonusPerHour > 0) {
+      bonuses.push(`+${this.options.seedingBonusPerHour}/h`);
+    }
+    return bonuses.length ? `: ${bonuses.join(' ')}` : '';
+  }
+
+  /**
+   * Tells leaders with an open session that seeding has ended and normal rates apply again.
+   */
+  notifySeedingEnded() {
+    for (const steamID of this.leadershipSessions.keys()) {
+      this.sendPlayerMessage(steamID, [this.formatMessage(steamID, 'seedingEnded')]);
+    }
+    this.logDebug(`Sent seeding ended message to ${this.leadershipSessions.size} leaders.`);
+  }
+
+  /**
+   * Sends whichever server-wide broadcasts are due: announcements of newly whitelisted
+   * players, a call for squad leaders and the program advert, in that order. At most one
+   * broadcast is sent per tick so they never stack up on screen. Broadcasts go out in
+   * `defaultLanguage`, since everyone sees them.
+   * @param {object[]} players - The current player list.
+   * @param {boolean} seeding - Whether the server is seeding.
+   */
+  async sendBroadcasts(players, seeding) {
+    try {
+      const message =
+        (await this.buildWhitelistAnnouncement(players)) ||
+        this.buildLeaderCall(players, seeding) ||
+        this.buildAdvert(players);
+      if (!message) return;
+      await this.server.rcon.broadcast(message.text);
+      this.lastBroadcastAt.set(message.type, Date.now());
+      this.logDebug(`Sent ${message.type} broadcast: ${message.text}`);
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to send broadcast:', error);
+    }
+  }
+
+  /**
+   * Checks whether a broadcast type is off cooldown and the server is populated enough for it.
+   * @param {string} type - The broadcast type.
+   * @param {number} cooldownMinutes - Minimum minutes since this type was last sent.
+   * @param {number} minPlayers - Minimum server population.
+   * @param {number} playerCount - The current server population.
+   * @returns {boolean}
+   */
+  isBroadcastDue(type, cooldownMinutes, minPlayers, playerCount) {
+    if (playerCount < minPlayers) return false;
+    const lastSentAt = this.lastBroadcastAt.get(type);
+    return lastSentAt === undefined || Date.now() - lastSentAt >= cooldownMinutes * 60 * 1000;
+  }
+
+  /**
+   * Builds the announcement congratulating players who joined the whitelist since the last one.
+   * @param {object[]} players - The current player list.
+   * @returns {Promise<?{ type: string, text: string }>}
+   */
+  async buildWhitelistAnnouncement(players) {
+    if (
+      this.pendingAnnouncements.size === 0 ||
+      !this.isBroadcastDue(
+        'newWhitelisted',
+        this.options.broadcastNewWhitelistedCooldownMinutes,
+        this.options.broadcastNewWhitelistedMinPlayers,
+        players.length
+      )
+    ) {
+      return null;
+    }
+    const steamIDs = [...this.pendingAnnouncements];
+    this.pendingAnnouncements.clear();
+    const onlineNames = new Map(players.map((player) => [player.steamID, player.name]));
+    const identities = await this.getPlayerIdentities(steamIDs);
+    const names = steamIDs.map((steamID) => {
+      const identity = identities.get(steamID);
+      return onlineNames.get(steamID) || (identity && identity.name) || steamID;
+    });
+    return {
+      type: 'newWhitelisted',
+      text: this.formatMessage(null, 'broadcastNewWhitelisted', { names: names.join(', ') })
+    };
+  }
+
+  /**
+   * Builds a call for squad leaders when at least `broadcastLeaderCallSquadless` players are not
+   * in a squad, or a team has fewer than `broadcastLeaderCallMinOpenSquads` open squads. The
+   * call mentions any seeding or match completion bonus on offer.
+   * @param {object[]} players - The current player list.
+   * @param {boolean} seeding - Whether the server is seeding.
+   * @returns {?{ type: string, text: string }}
    */
-  async onChatCommand(info) {
-    const steamID = info.player.steamID;
+  buildLeaderCall(players, seeding) {
+    if (
+      !this.options.broadcastLeaderCall ||
+      !this.isBroadcastDue(
+        'leaderCall',
+        this.options.broadcastLeaderCallCooldownMinutes,
+        this.options.broadcastLeaderCallMinPlayers,
+        players.length
+      )
+    ) {
+      return null;
+    }
+
+    const t = (key, params) => this.formatMessage(null, key, params);
+    const squadless = players.filter((player) => !player.squad).length;
+    const openSquads = new Map(); // teamID → Set of unlocked squadIDs.
+    for (const player of players) {
+      if (!openSquads.has(player.teamID)) openSquads.set(player.teamID, new Set());
+      if (player.squad && String(player.squad.locked).toLowerCase() === 'false') {
+        openSquads.get(player.teamID).add(player.squad.squadID);
+      }
+    }
+
+    let reason = null;
+    const squadlessThreshold = this.options.broadcastLeaderCallSquadless;
+    if (squadlessThreshold > 0 && squadless >= squadlessThreshold) {
+      reason = t('broadcastSquadless', { count: squadless });
+    } else if (this.options.broadcastLeaderCallMinOpenSquads > 0) {
+      for (const [teamID, squads] of openSquads) {
+        if (squads.size < this.options.broadcastLeaderCallMinOpenSquads) {
+          reason = t('broadcastFewSquads', { team: teamID, count: squads.size });
+          break;
+        }
+      }
+    }
+    if (!reason) return null;
+
+    let bonus = '';
+    if (seeding) bonus += t('broadcastSeedingBonus', { bonus: this.describeSeedingBonus() });
+    if (this.options.matchCompletionBonus > 0) {
+      bonus += t('broadcastMatchBonus', { bonus: this.options.matchCompletionBonus });
+    }
+    return { type: 'leaderCall', text: t('broadcastLeaderCall', { reason, bonus }) };
+  }
+
+  /**
+   * Builds the periodic advert for the SL whitelist program.
+   * @param {object[]} players - The current player list.
+   * @returns {?{ type: string, text: string }}
+   */
+  buildAdvert(players) {
+    if (
+      this.options.broadcastAdvertMinutes <= 0 ||
+      !this.isBroadcastDue(
+        'advert',
+        this.options.broadcastAdvertMinutes,
+        this.options.broadcastAdvertMinPlayers,
+        players.length
+      )
+    ) {
+      return null;
+    }
+    const hours =
+      this.options.progressPerHour > 0
+        ? Math.ceil(this.whitelistThreshold / this.options.progressPerHour)
+        : '?';
+    return { type: 'advert', text: this.formatMessage(null, 'broadcastAdvert', { hours }) };
+  }
+
+  /**
+   * Starts an interval to periodically award progress to eligible squad leaders.
+   */
+  startProgressTracking() {
+    this.logDebug('Attempting to start progress tracking interval.');
+    if (this.progressInterval) {
+      this.logDebug('Existing progress interval found. Clearing it before starting a new one.');
+      clearInterval(this.progressInterval);
+    }
+    if (this.options.maxCreditGapSeconds <= this.options.progressIntervalSeconds) {
+      this.logDebug(
+        '[WARNING] maxCreditGapSeconds should be larger than progressIntervalSeconds, otherwise no leader is ever credited.'
+      );
+    }
+    // Progress is credited by elapsed time, so the interval only controls how often we check.
     this.logDebug(
-      `Processing chat command from SteamID: ${steamID}. Player name: ${info.player.name}`
+      `Progress tracking interval set to run every ${this.options.progressIntervalSeconds} seconds.`
     );
+    this.progressInterval = setInterval(async () => {
+      this.logDebug('Progress tracking interval triggered.');
+      const players = this.server.players;
+      if (players) {
+        this.logDebug('Player data available. Calling onPlayerInformationUpdate.');
+        await this.onPlayerInformationUpdate(players);
+      } else {
+        this.logDebug('No player data available. Skipping progress update.');
+      }
+    }, this.options.progressIntervalSeconds * 1000);
+    this.logDebug('Progress tracking interval started successfully.');
+  }
+
+  /**
+   * Starts an interval to periodically decay progress for all players.
+   */
+  startDecayInterval() {
+    this.logDebug('Attempting to start decay interval.');
+    if (this.decayInterval) {
+      this.logDebug('Existing decay interval found. Clearing it before starting a new one.');
+      clearInterval(this.decayInterval);
+    }
+    this.logDebug(`Decay interval set to run every ${this.options.decayIntervalSeconds} seconds.`);
+    this.decayInterval = setInterval(async () => {
+      this.logDebug('Decay interval triggered. Calling decayWhitelistProgress.');
+      await this.decayWhitelistProgress();
+    }, this.options.decayIntervalSeconds * 1000);
+    this.logDebug('Decay interval started successfully.');
+  }
+
+  /**
+   * Starts an interval to periodically generate the whitelist file. Membership changes and
+   * new matches also trigger a debounced regeneration via `scheduleWhitelistRegeneration`.
+   */
+  startWhitelistGenerationInterval() {
+    this.logDebug('Attempting to start whitelist generation interval.');
+    if (this.whitelistInterval) {
+      this.logDebug(
+        'Existing whitelist generation interval found. Clearing it before starting a new one.'
+      );
+      clearInterval(this.whitelistInterval);
+    }
+    const intervalInMinutes = this.options.whitelistUpdateMinutes;
+    const intervalMilliseconds = intervalInMinutes * 60 * 1000;
+    this.logDebug(`Whitelist generation interval set to run every ${intervalInMinutes} minutes.`);
+
+    this.whitelistInterval = setInterval(async () => {
+      this.logDebug('Whitelist generation interval triggered. Calling generateWhitelistFile.');
+      await this.generateWhitelistFile();
+    }, intervalMilliseconds);
+
+    this.logDebug('Whitelist generation interval started successfully.');
+  }
+
+  /**
+   * Regenerates the whitelist file after `regenerateDebounceSeconds`. Calls made while a
+   * regeneration is already pending are folded into it, so a burst of threshold crossings
+   * (e.g. one decay tick dropping several players) causes a single rewrite.
+   * @param {string} reason - Why the regeneration was requested, for logging.
+   */
+  scheduleWhitelistRegeneration(reason) {
+    const delaySeconds = this.options.regenerateDebounceSeconds;
+    if (delaySeconds <= 0) return;
+    if (this.regenerateTimeout) {
+      this.logDebug(`Whitelist regeneration already pending. Folding in: ${reason}.`);
+      return;
+    }
+
+    this.logDebug(`Scheduling whitelist regeneration in ${delaySeconds} seconds: ${reason}.`);
+    this.regenerateTimeout = setTimeout(async () => {
+      this.regenerateTimeout = null;
+      this.logDebug('Debounced whitelist regeneration triggered. Calling generateWhitelistFile.');
+      await this.generateWhitelistFile();
+    }, delaySeconds * 1000);
+  }
+
+  /**
+   * Handles the NEW_GAME event by regenerating the whitelist, so membership changes from the
+   * previous match are applied at the start of the next one. Combat activity and match
+   * leadership are per match, so they are reset here. If END_GAME was missed, the previous
+   * match's leadership is discarded without a bonus or penalty.
+   */
+  async onNewGame() {
+    this.logDebug('NEW_GAME event received.');
+    this.activePlayers.clear();
+    this.matchLeaders.clear();
+    this.scheduleWhitelistRegeneration('new game');
+  }
+
+  /**
+   * Handles the END_GAME event by settling each leader's match bonus or penalty and sending
+   * them their match summary.
+   */
+  async onEndGame() {
+    this.logDebug('END_GAME event received.');
+    const matchLeaders = [...this.matchLeaders.values()];
+    this.matchLeaders.clear();
     try {
-      this.logDebug(`Searching for player progress for SteamID: ${steamID} in the database.`);
-      const playerProgress = await this.WhitelistProgressModel.findOne({
-        where: { steamID }
+      await this.settleMatch(matchLeaders);
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to settle match results:', error);
+    }
+  }
+
+  /**
+   * Updates this match's leadership records from a progress tick. Eligible leaders accumulate
+   * leadership time. Leaders who were eligible last tick but are not now have their stint
+   * ended, with the reason worked out from the current squads.
+   * @param {object[]} eligibleLeaders - The leaders eligible for progress this tick.
+   * @param {object[]} players - The players currently on the server.
+   * @param {Date} now - The time of this tick.
+   */
+  trackMatchLeadership(eligibleLeaders, players, now) {
+    const maxGapMilliseconds = this.options.maxCreditGapSeconds * 1000;
+    const eligibleSteamIDs = new Set(eligibleLeaders.map((leader) => leader.steamID));
+
+    for (const leader of eligibleLeaders) {
+      let stats = this.matchLeaders.get(leader.steamID);
+      if (!stats) {
+        stats = {
+          steamID: leader.steamID,
+          leading: false,
+          lastTrackedAt: null,
+          leadMilliseconds: 0,
+          progressEarned: 0,
+          endReason: null
+        };
+        this.matchLeaders.set(leader.steamID, stats);
+      }
+      if (stats.leading) {
+        stats.leadMilliseconds += Math.min(now.getTime() - stats.lastTrackedAt, maxGapMilliseconds);
+      }
+      Object.assign(stats, {
+        name: leader.name,
+        teamID: leader.teamID,
+        squadID: leader.squad.squadID,
+        leading: true,
+        lastTrackedAt: now.getTime(),
+        endReason: null
       });
+    }
 
-      const header = '═════ SL WHITELIST ═════';
-      const footer = '══════════════════════'; // Shortened footer
+    for (const stats of this.matchLeaders.values()) {
+      if (!stats.leading || eligibleSteamIDs.has(stats.steamID)) continue;
+      const player = players.find((p) => p.steamID === stats.steamID);
+      const squadStillExists = players.some(
+        (p) => p.squad && p.squad.squadID === stats.squadID && p.teamID === stats.teamID
+      );
+      if (!player) {
+        stats.endReason = LEADERSHIP_END_REASONS.LEFT;
+      } else if (player.isLeader && player.squad) {
+        stats.endReason = LEADERSHIP_END_REASONS.INELIGIBLE;
+      } else if (squadStillExists) {
+        stats.endReason = LEADERSHIP_END_REASONS.HANDED_OFF;
+      } else {
+        stats.endReason = LEADERSHIP_END_REASONS.DISBANDED;
+      }
+      stats.leading = false;
+      this.logDebug(`${stats.name} stopped leading this match: ${stats.endReason}.`);
+    }
+  }
 
-      if (playerProgress) {
-        const currentProgress = playerProgress.progress;
-        const threshold = this.options.threshold;
-        const progressPercentage = Math.round((currentProgress / threshold) * 100);
-        let message;
-        let progressStatus;
+  /**
+   * Applies the end-of-match completion bonus and early exit penalty, and sends each online
+   * leader a summary of the match.
+   * - Leaders still leading an eligible squad at the last progress tick, who led for at least
+   *   `matchMinLeadMinutes`, earn `matchCompletionBonus`. The bonus counts toward the daily cap.
+   * - Leaders whose last stint ended by disbanding or handing off lose `matchEarlyExitPenalty`
+   *   of the progress they earned this match. Leaving the server is not penalised.
+   * Players with a never or frozen override are left unchanged.
+   * @param {object[]} matchLeaders - The match leadership records from `trackMatchLeadership`.
+   */
+  async settleMatch(matchLeaders) {
+    if (matchLeaders.length === 0) return;
+    this.logDebug(`Settling match results for ${matchLeaders.length} leaders.`);
 
-        // Determine the progress status message
-        if (currentProgress >= threshold) {
-          this.logDebug('Player is whitelisted. Calculating rank.');
-          // Fetch all players who are also whitelisted to determine rank.
-          const allWhitelistedPlayers = await this.WhitelistProgressModel.findAll({
-            where: { progress: { [Op.gte]: threshold } }
-          });
+    const now = new Date();
+    const minLeadMilliseconds = this.options.matchMinLeadMinutes * 60 * 1000;
+    const penaltyFraction = Math.min(1, Math.max(0, this.options.matchEarlyExitPenalty));
+    const overrides = await this.getActiveOverrides(matchLeaders.map((stats) => stats.steamID));
+
+    const bonuses = [];
+    const penalties = [];
+    for (const stats of matchLeaders) {
+      const override = overrides.get(stats.steamID);
+      if (override && override.type !== OVERRIDE_TYPES.ALWAYS) continue;
 
-          // Sort players by progress in descending order to get the correct rank.
-          allWhitelistedPlayers.sort((a, b) => b.progress - a.progress);
+      if (
+        stats.leading &&
+        this.options.matchCompletionBonus > 0 &&
+        stats.leadMilliseconds >= minLeadMilliseconds
+      ) {
+        bonuses.push({
+          leader: { steamID: stats.steamID, name: stats.name },
+          progressIncrement: this.options.matchCompletionBonus
+        });
+      } else if (
+        !stats.leading &&
+        penaltyFraction > 0 &&
+        stats.progressEarned > 0 &&
+        [LEADERSHIP_END_REASONS.DISBANDED, LEADERSHIP_END_REASONS.HANDED_OFF].includes(
+          stats.endReason
+        )
+      ) {
+        penalties.push({ stats, amount: stats.progressEarned * penaltyFraction });
+      }
+    }
+    await this.applyDailyProgressCap(bonuses, now);
 
-          // Find the current player's rank.
-          const playerRank = allWhitelistedPlayers.findIndex((p) => p.steamID === steamID) + 1;
-          const totalWhitelisted = allWhitelistedPlayers.length;
+    const changes = new Map(); // SteamID → { oldProgress, newProgress, reason }
+    if (bonuses.length > 0 || penalties.length > 0) {
+      await this.writeTransaction(async (transaction) => {
+        const records = await this.WhitelistProgressModel.findAll({
+          where: this.scopeWhere({
+            steamID: {
+              [Op.in]: [
+                ...bonuses.map((bonus) => bonus.leader.steamID),
+                ...penalties.map((penalty) => penalty.stats.steamID)
+              ]
+            }
+          }),
+          attributes: ['steamID', 'progress'],
+          raw: true,
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        const currentProgress = new Map(records.map((record) => [record.steamID, record.progress]));
 
-          message = `You are on the whitelist!`;
-          progressStatus = `Progress: ${progressPercentage}%\nRank: ${playerRank} of ${totalWhitelisted}`;
-          this.logDebug(
-            `Player ${info.player.name} is rank ${playerRank} out of ${totalWhitelisted}.`
-          );
-        } else {
-          this.logDebug(
-            'Player is not yet whitelisted. Displaying progress and "no whitelist" message.'
-          );
-          message = `No whitelist yet. Keep leading squads to earn more progress!`;
-          progressStatus = `Progress: ${progressPercentage}%`;
+        for (const { leader, progressIncrement } of bonuses) {
+          const oldProgress = currentProgress.get(leader.steamID) || 0;
+          changes.set(leader.steamID, {
+            oldProgress,
+            newProgress: oldProgress + progressIncrement,
+            reason: PROGRESS_REASONS.MATCH_BONUS
+          });
+        }
+        for (const { stats, amount } of penalties) {
+          if (!currentProgress.has(stats.steamID)) continue;
+          const oldProgress = currentProgress.get(stats.steamID);
+          changes.set(stats.steamID, {
+            oldProgress,
+            newProgress: Math.max(0, oldProgress - amount),
+            reason: PROGRESS_REASONS.MATCH_PENALTY
+          });
         }
 
-        this.server.rcon.warn(
-          info.player.steamID,
-          `${header}\n` + `${message}\n` + `${progressStatus}\n` + `${footer}`
+        const rows = (reason) =>
+          [...changes]
+            .filter(([, change]) => change.reason === reason)
+            .map(([steamID, { newProgress }]) => ({
+              steamID,
+              serverID: this.progressServerID,
+              progress: newProgress,
+              lastProgressed: now,
+              lastServerID: this.serverID
+            }));
+        // Only a bonus counts as progress for decay purposes.
+        await this.WhitelistProgressModel.bulkCreate(rows(PROGRESS_REASONS.MATCH_BONUS), {
+          updateOnDuplicate: ['progress', 'lastProgressed', 'lastServerID', 'updatedAt'],
+          transaction
+        });
+        await this.WhitelistProgressModel.bulkCreate(rows(PROGRESS_REASONS.MATCH_PENALTY), {
+          updateOnDuplicate: ['progress', 'updatedAt'],
+          transaction
+        });
+      });
+
+      await this.saveProgressEvents(
+        [...changes].flatMap(([steamID, { oldProgress, newProgress, reason }]) =>
+          this.buildProgressEvents(steamID, oldProgress, newProgress, reason)
+        )
+      );
+      await this.refreshWhitelistStatus();
+    }
+
+    const onlinePlayers = this.server.players || [];
+    for (const stats of matchLeaders) {
+      const change = changes.get(stats.steamID);
+      this.logDebug(
+        `Match result for ${stats.name}: led ${
+          stats.leadMilliseconds
+        }ms, earned ${stats.progressEarned.toFixed(2)}${
+          change ? `, ${change.reason} ${(change.newProgress - change.oldProgress).toFixed(2)}` : ''
+        }.`
+      );
+      if (change && change.reason === PROGRESS_REASONS.MATCH_BONUS) {
+        const player = onlinePlayers.find((p) => p.steamID === stats.steamID);
+        if (player) this.notifyProgressMilestone(player, change.oldProgress, change.newProgress);
+      }
+      if (!this.options.matchSummary) continue;
+      if (!onlinePlayers.some((p) => p.steamID === stats.steamID)) continue;
+
+      const t = (key, params) => this.formatMessage(stats.steamID, key, params);
+      const lines = [
+        t('matchSummary', {
+          duration: this.formatDuration(stats.leadMilliseconds),
+          progress: stats.progressEarned.toFixed(1)
+        })
+      ];
+      if (change && change.reason === PROGRESS_REASONS.MATCH_BONUS) {
+        lines.push(
+          t('matchBonus', { bonus: (change.newProgress - change.oldProgress).toFixed(1) })
         );
-        this.logDebug('RCON message sent successfully.');
-      } else {
-        this.logDebug(
-          `No whitelist progress found for SteamID: ${steamID}. Sending informational RCON message.`
+      } else if (change) {
+        lines.push(
+          t(
+            stats.endReason === LEADERSHIP_END_REASONS.DISBANDED
+              ? 'matchPenaltyDisbanded'
+              : 'matchPenaltyHandedOff',
+            { penalty: (change.oldProgress - change.newProgress).toFixed(1) }
+          )
         );
-        this.server.rcon.warn(
-          info.player.steamID,
-          `${header}\n` +
-            `No whitelist progress found for your account.\n` +
-            `Start leading a squad to earn progress!\n` +
-            `${footer}`
+      }
+      this.sendPlayerMessage(stats.steamID, lines);
+    }
+  }
+
+  /**
+   * Asks the server to reload its admin config so a rewritten whitelist file takes effect
+   * without a restart.
+   */
+  async reloadAdminConfig() {
+    if (!this.options.reloadAdminConfig) return;
+    try {
+      this.logDebug('Reloading server admin config over RCON...');
+      await this.server.rcon.execute('AdminReloadServerConfig');
+      if (typeof this.server.updateAdmins === 'function') {
+        await this.server.updateAdmins();
+      }
+      this.logDebug('Server admin config reloaded.');
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to reload server admin config:', error);
+    }
+  }
+
+  /**
+   * Sends an event to every webhook target subscribed to it. Delivery happens in the
+   * background, so callers never wait on, or fail because of, a webhook.
+   * @param {string} event - One of WEBHOOK_EVENTS.
+   * @param {object} message - Human readable content.
+   * @param {string} message.title - A one-line summary.
+   * @param {string} [message.description] - Further detail.
+   * @param {Array<{ name: string, value: string }>} [message.fields] - Extra name/value pairs.
+   * @param {object} [data] - Machine readable details, included in the 'json' format.
+   */
+  emitWebhookEvent(event, message, data = {}) {
+    const targets = (this.options.webhooks || []).filter(
+      (target) =>
+        target && target.url && (!Array.isArray(target.events) || target.events.includes(event))
+    );
+    for (const target of targets) {
+      const body = JSON.stringify(this.buildWebhookPayload(target, event, message, data));
+      this.logDebug(`Sending ${event} webhook to ${this.maskWebhookUrl(target.url)}.`);
+      this.deliverWebhook(target, body, 0);
+    }
+  }
+
+  /**
+   * Checks whether any webhook target is subscribed to an event.
+   * @param {string} event - One of WEBHOOK_EVENTS.
+   * @returns {boolean}
+   */
+  hasWebhookTarget(event) {
+    return (this.options.webhooks || []).some(
+      (target) =>
+        target && target.url && (!Array.isArray(target.events) || target.events.includes(event))
+    );
+  }
+
+  /**
+   * Shortens a webhook URL to its origin for logs and the HTTP API. The path and query of a
+   * webhook URL usually contain its secret token, e.g. Discord's `/api/webhooks/<id>/<token>`.
+   * @param {string} url - The webhook URL.
+   * @returns {string}
+   */
+  maskWebhookUrl(url) {
+    try {
+      const { origin, pathname, search } = new URL(url);
+      return pathname === '/' && !search ? origin : `${origin}/***`;
+    } catch (error) {
+      return '[invalid URL]';
+    }
+  }
+
+  /**
+   * Builds the request body for a webhook target in its configured format.
+   * - discord: a single embed, accepted by Discord and most chat webhooks.
+   * - json: `{ event, serverID, timestamp, title, description, fields, data }`.
+   * @param {object} target - The webhook target.
+   * @param {string} event - One of WEBHOOK_EVENTS.
+   * @param {object} message - See `emitWebhookEvent`.
+   * @param {object} data - See `emitWebhookEvent`.
+   * @returns {object}
+   */
+  buildWebhookPayload(target, event, { title, description = '', fields = [] }, data) {
+    const timestamp = new Date().toISOString();
+    if (target.format === 'json') {
+      return { event, serverID: this.serverID, timestamp, title, description, fields, data };
+    }
+    return {
+      username: target.username || 'SL Whitelist',
+      embeds: [
+        {
+          title,
+          description: description || undefined,
+          color: WEBHOOK_COLORS[event],
+          fields: fields.map((field) => ({ ...field, inline: false })),
+          footer: { text: `Server ${this.serverID}` },
+          timestamp
+        }
+      ]
+    };
+  }
+
+  /**
+   * POSTs a webhook body, retrying network errors, timeouts, 429 and 5xx responses up to
+   * `webhookMaxRetries` times. Retries wait `webhookRetrySeconds`, doubling each time, or as
+   * long as a 429 response's Retry-After header asks. Other 4xx responses are not retried.
+   * Nothing is retried once the plugin has been unmounted.
+   * @param {object} target - The webhook target.
+   * @param {string} body - The JSON request body.
+   * @param {number} attempt - The number of attempts made so far.
+   */
+  async deliverWebhook(target, body, attempt) {
+    const destination = this.maskWebhookUrl(target.url);
+    let failure;
+    let retryAfterMilliseconds = 0;
+    try {
+      const response = await fetch(target.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        signal: AbortSignal.timeout(10000)
+      });
+      if (response.ok) {
+        this.logDebug(`Webhook delivered to ${destination} (attempt ${attempt + 1}).`);
+        return;
+      }
+      failure = `HTTP ${response.status}`;
+      if (response.status !== 429 && response.status < 500) {
+        this.logDebug(
+          `[ERROR] Webhook to ${destination} was rejected with ${failure}. Dropping it.`
         );
-        this.logDebug('Informational RCON message sent successfully.');
+        return;
       }
+      retryAfterMilliseconds = (Number(response.headers.get('retry-after')) || 0) * 1000;
     } catch (error) {
-      this.logDebug(`[ERROR] Failed to handle chat command for SteamID: ${steamID}`, error);
-      this.logDebug('Error handling chat command.');
+      failure = error.message;
+    }
+
+    if (this.unmounted) {
+      this.logDebug(`Webhook to ${destination} failed (${failure}) after unmount. Dropping it.`);
+      return;
+    }
+    if (attempt >= this.options.webhookMaxRetries) {
+      this.logDebug(
+        `[ERROR] Webhook to ${destination} failed after ${
+          attempt + 1
+        } attempts (${failure}). Dropping it.`
+      );
+      return;
+    }
+    const delay = Math.max(
+      retryAfterMilliseconds,
+      this.options.webhookRetrySeconds * 1000 * 2 ** attempt
+    );
+    this.logDebug(`Webhook to ${destination} failed (${failure}). Retrying in ${delay}ms.`);
+    const timer = setTimeout(() => {
+      this.webhookTimers.delete(timer);
+      this.deliverWebhook(target, body, attempt + 1);
+    }, delay);
+    this.webhookTimers.add(timer);
+  }
+
+  /**
+   * Sends whitelist_gained and whitelist_lost webhooks for a whitelist status refresh.
+   * @param {object[]} gained - Rows of players who joined the whitelist.
+   * @param {object[]} lost - Rows of players who left it.
+   */
+  async notifyWhitelistChanges(gained, lost) {
+    if (
+      !this.hasWebhookTarget(WEBHOOK_EVENTS.WHITELIST_GAINED) &&
+      !this.hasWebhookTarget(WEBHOOK_EVENTS.WHITELIST_LOST)
+    ) {
+      return;
+    }
+    const identities = await this.getPlayerIdentities(
+      [...gained, ...lost].map((record) => record.steamID)
+    );
+    const describe = (record) => {
+      const identity = identities.get(record.steamID);
+      const name = identity && identity.name ? identity.name : record.steamID;
+      return {
+        name,
+        data: { steamID: record.steamID, name, progress: record.progress }
+      };
+    };
+    for (const record of gained) {
+      const { name, data } = describe(record);
+      this.emitWebhookEvent(
+        WEBHOOK_EVENTS.WHITELIST_GAINED,
+        { title: `${name} joined the whitelist`, description: `SteamID: ${record.steamID}` },
+        data
+      );
+    }
+    for (const record of lost) {
+      const { name, data } = describe(record);
+      this.emitWebhookEvent(
+        WEBHOOK_EVENTS.WHITELIST_LOST,
+        { title: `${name} left the whitelist`, description: `SteamID: ${record.steamID}` },
+        data
+      );
+    }
+  }
+
+  /**
+   * Sends the daily summary at `webhookSummaryHour` (UTC), and on Mondays the weekly one.
+   * Called hourly. A lease per scope makes sure each summary is sent once, even across
+   * restarts and several servers sharing the database.
+   */
+  async sendProgressSummaries() {
+    const now = new Date();
+    if (now.getUTCHours() !== this.options.webhookSummaryHour) return;
+    const dayMilliseconds = 24 * 60 * 60 * 1000;
+    const summaries = [
+      { event: WEBHOOK_EVENTS.DAILY_SUMMARY, days: 1, label: 'Daily' },
+      ...(now.getUTCDay() === 1
+        ? [{ event: WEBHOOK_EVENTS.WEEKLY_SUMMARY, days: 7, label: 'Weekly' }]
+        : [])
+    ];
+
+    for (const { event, days, label } of summaries) {
+      try {
+        if (!this.hasWebhookTarget(event)) continue;
+        if (!(await this.claimTask(`${event}-${this.progressServerID}`, days * dayMilliseconds))) {
+          continue;
+        }
+        const summary = await this.buildProgressSummary(
+          new Date(now.getTime() - days * dayMilliseconds)
+        );
+        this.emitWebhookEvent(
+          event,
+          {
+            title: `${label} SL whitelist summary`,
+            description: `${summary.gained} joined and ${summary.lost} left the whitelist.\n${
+              summary.leaders.length
+                ? 'Top squad leaders by progress earned:'
+                : 'Nobody earned progress.'
+            }`,
+            fields: summary.leaders.map((leader, index) => ({
+              name: `${index + 1}. ${leader.name}`,
+              value: `+${leader.earned.toFixed(1)} progress`
+            }))
+          },
+          summary
+        );
+      } catch (error) {
+        this.logDebug(`[ERROR] Failed to send the ${event} webhook:`, error);
+      }
+    }
+  }
+
+  /**
+   * Summarises the ledger since a given time: the `leaderboardSize` players who earned the
+   * most progress (gains and match bonuses), and how many joined and left the whitelist.
+   * @param {Date} since - The start of the period.
+   * @returns {Promise<{ since: string, leaders: object[], gained: number, lost: number }>}
+   */
+  async buildProgressSummary(since) {
+    const where = { timestamp: { [Op.gte]: since } };
+    if (this.progressServerID !== POOLED_SERVER_ID) where.serverID = this.serverID;
+
+    const earnedRows = await this.WhitelistProgressEventModel.findAll({
+      where: {
+        ...where,
+        reason: { [Op.in]: [PROGRESS_REASONS.GAIN, PROGRESS_REASONS.MATCH_BONUS] }
+      },
+      attributes: ['steamID', [Sequelize.fn('SUM', Sequelize.col('delta')), 'earned']],
+      group: ['steamID'],
+      order: [[Sequelize.literal('earned'), 'DESC']],
+      limit: this.options.leaderboardSize,
+      raw: true
+    });
+    const identities = await this.getPlayerIdentities(earnedRows.map((row) => row.steamID));
+    const countReason = (reason) =>
+      this.WhitelistProgressEventModel.count({ where: { ...where, reason } });
+
+    return {
+      since: since.toISOString(),
+      leaders: earnedRows.map((row) => {
+        const identity = identities.get(row.steamID);
+        return {
+          steamID: row.steamID,
+          name: identity && identity.name ? identity.name : row.steamID,
+          earned: Number(row.earned) || 0
+        };
+      }),
+      gained: await countReason(PROGRESS_REASONS.WHITELIST_GAINED),
+      lost: await countReason(PROGRESS_REASONS.WHITELIST_LOST)
+    };
+  }
+
+  /**
+   * Starts an interval to periodically prune and compact the progress history.
+   */
+  startHistoryMaintenanceInterval() {
+    this.logDebug('Attempting to start history maintenance interval.');
+    if (this.historyInterval) {
+      this.logDebug('Existing history interval found. Clearing it before starting a new one.');
+      clearInterval(this.historyInterval);
     }
+    this.historyInterval = setInterval(async () => {
+      this.logDebug('History maintenance interval triggered. Calling pruneProgressHistory.');
+      await this.pruneProgressHistory();
+      await this.checkSeasonEnd();
+      await this.sendProgressSummaries();
+    }, 60 * 60 * 1000); // Hourly
+    this.logDebug('History maintenance interval started successfully.');
+  }
+
+  /**
+   * Records a single progress change in the WhitelistProgressEvent ledger.
+   * See `buildProgressEvents` for the parameters.
+   */
+  async recordProgressEvent(steamID, oldProgress, newProgress, reason, context = {}) {
+    await this.saveProgressEvents(
+      this.buildProgressEvents(steamID, oldProgress, newProgress, reason, context)
+    );
   }
 
   /**
-   * Checks all players for eligibility and awards progress.
+   * Builds the ledger rows for a progress change. Whitelist membership changes are recorded
+   * separately by `refreshWhitelistStatus`, since they no longer follow progress directly.
+   * @param {string} steamID - The player's SteamID.
+   * @param {number} oldProgress - Progress before the change.
+   * @param {number} newProgress - Progress after the change.
+   * @param {string} reason - One of PROGRESS_REASONS.
+   * @param {object} context - Optional squadSize, playerCount and author.
+   * @returns {object[]}
    */
-  async onPlayerInformationUpdate(players) {
-    this.logDebug('Player information update received. Checking for eligible leaders.');
+  buildProgressEvents(steamID, oldProgress, newProgress, reason, context = {}) {
+    const base = {
+      steamID,
+      progressAfter: newProgress,
+      squadSize: context.squadSize || null,
+      playerCount: context.playerCount || null,
+      author: context.author || null,
+      serverID: this.serverID,
+      timestamp: new Date()
+    };
+    return [{ ...base, delta: newProgress - oldProgress, reason }];
+  }
 
-    if (!Array.isArray(players) || players.length === 0) {
-      this.logDebug('No players found or squads is not an array. Skipping update.');
-      return;
+  /**
+   * Writes ledger rows in a single insert. Failures are logged and swallowed so the ledger
+   * can never block progress updates.
+   * @param {object[]} events - Rows from `buildProgressEvents`.
+   */
+  async saveProgressEvents(events) {
+    if (events.length === 0) return;
+    try {
+      await this.WhitelistProgressEventModel.bulkCreate(events);
+    } catch (error) {
+      this.logDebug(`[ERROR] Failed to record ${events.length} progress events:`, error);
     }
-    this.logDebug(`Total players received in update: ${players.length}`);
+  }
 
+  /**
+   * Applies the history retention policy. Events older than `historyRetentionDays` are
+   * deleted, and gain/decay events older than `historyCompactAfterHours` are merged into
+   * a single row per player, reason and day. Manual adjustments and threshold crossings
+   * are never compacted.
+   */
+  async pruneProgressHistory() {
+    this.logDebug('Starting progress history maintenance.');
     try {
-      const now = new Date();
-      const eligibleLeaders = [];
-
-      this.logDebug('Iterating through all players to find eligible leaders.');
-      for (const player of players) {
-        this.logDebug(`Checking player: ${player.name} (SteamID: ${player.steamID})`);
-        // Ensure player object and squad exist
-        if (player && player.squad && player.isLeader) {
-          this.logDebug(
-            `Player ${player.name} is a squad leader in squad ${player.squad.squadName}.`
-          );
-          // Check if squad meets min member requirement
-          const squadMembers = players.filter(
-            (p) => p.squad && p.squad.squadID === player.squad.squadID
-          );
-          this.logDebug(
-            `Squad members count: ${squadMembers.length}. Minimum required: ${this.options.minSquadMembers}.`
-          );
-          if (squadMembers.length >= this.options.minSquadMembers) {
-            // Corrected logic: Check if squad is unlocked by converting the string to lowercase and comparing.
-            const lockedString = String(player.squad.locked).toLowerCase();
-            const isUnlocked = !this.options.onlyOpenSquads || lockedString === 'false';
-            this.logDebug(
-              `onlyOpenSquads option is ${this.options.onlyOpenSquads}. player.squad.locked is ${
-                player.squad.locked
-              } (type: ${typeof player.squad.locked}).`
-            );
-            this.logDebug(
-              `The logical check (!${this.options.onlyOpenSquads} || ${lockedString} === 'false') evaluates to ${isUnlocked}.`
-            );
-            if (isUnlocked) {
-              this.logDebug(`Player ${player.name} is an eligible leader.`);
-              eligibleLeaders.push(player);
-            } else {
-              this.logDebug(
-                `Player ${player.name} is a leader but their squad is locked. Not eligible for progress.`
-              );
-            }
-          } else {
-            this.logDebug(
-              `Player ${player.name} is a leader but their squad does not meet the minimum member requirement.`
-            );
-          }
-        } else {
-          this.logDebug(
-            `Player ${player.name} is not a squad leader or does not belong to a squad. Skipping.`
-          );
-        }
+      // The ledger is shared by every instance on the database, so only one maintains it.
+      if (!(await this.claimTask('history-maintenance', 60 * 60 * 1000))) {
+        this.logDebug('History maintenance already run by another instance. Skipping.');
+        return;
       }
 
-      this.logDebug(`Found a total of ${eligibleLeaders.length} eligible squad leaders.`);
-
-      // Award progress to eligible leaders.
-      const progressIncrement = this.options.progressPerHour / (3600 / 30); // Award progress every 30 seconds
-      this.logDebug(`Progress increment per 30 seconds: ${progressIncrement.toFixed(2)}`);
+      const now = Date.now();
+      const retentionCutoff = new Date(
+        now - this.options.historyRetentionDays * 24 * 60 * 60 * 1000
+      );
+      const deletedCount = await this.WhitelistProgressEventModel.destroy({
+        where: { timestamp: { [Op.lt]: retentionCutoff } }
+      });
+      this.logDebug(
+        `Deleted ${deletedCount} history events older than ${retentionCutoff.toISOString()}.`
+      );
 
-      this.logDebug('Iterating through eligible leaders to award progress.');
-      for (const leader of eligibleLeaders) {
-        this.logDebug(`Processing eligible leader: ${leader.name} (SteamID: ${leader.steamID})`);
-        let playerRecord = await this.WhitelistProgressModel.findOne({
-          where: { steamID: leader.steamID }
-        });
+      const compactCutoff = new Date(now - this.options.historyCompactAfterHours * 60 * 60 * 1000);
+      const compactable = {
+        timestamp: { [Op.lt]: compactCutoff },
+        reason: { [Op.in]: [PROGRESS_REASONS.GAIN, PROGRESS_REASONS.DECAY] }
+      };
+      const day = Sequelize.fn('date', Sequelize.col('timestamp'));
+      const groups = await this.WhitelistProgressEventModel.findAll({
+        where: compactable,
+        attributes: [
+          'steamID',
+          'serverID',
+          'reason',
+          [day, 'day'],
+          [Sequelize.fn('count', Sequelize.col('id')), 'rows']
+        ],
+        group: ['steamID', 'serverID', 'reason', day],
+        having: Sequelize.where(Sequelize.fn('count', Sequelize.col('id')), { [Op.gt]: 1 }),
+        raw: true
+      });
+      this.logDebug(`Found ${groups.length} history groups to compact.`);
 
-        const oldProgress = playerRecord ? playerRecord.progress : 0;
+      for (const group of groups) {
+        // SQLite returns DATE() as a 'YYYY-MM-DD' string, other dialects may return a Date.
+        const dayStart =
+          group.day instanceof Date ? group.day : new Date(`${group.day}T00:00:00.000Z`);
+        const dayEnd = new Date(Math.min(dayStart.getTime() + 24 * 60 * 60 * 1000, compactCutoff));
+        await this.sequelize.transaction(async (transaction) => {
+          const events = await this.WhitelistProgressEventModel.findAll({
+            where: {
+              ...compactable,
+              steamID: group.steamID,
+              serverID: group.serverID,
+              reason: group.reason,
+              timestamp: { [Op.gte]: dayStart, [Op.lt]: dayEnd }
+            },
+            order: [['timestamp', 'ASC']],
+            transaction
+          });
+          if (events.length < 2) return;
 
-        if (!playerRecord) {
-          this.logDebug(`No existing record found for ${leader.name}. Creating a new record.`);
-          playerRecord = await this.WhitelistProgressModel.create({
-            steamID: leader.steamID,
-            progress: 0,
-            lastProgressed: now
+          const last = events[events.length - 1];
+          await this.WhitelistProgressEventModel.create(
+            {
+              steamID: group.steamID,
+              serverID: group.serverID,
+              reason: group.reason,
+              delta: events.reduce((sum, event) => sum + event.delta, 0),
+              progressAfter: last.progressAfter,
+              entries: events.reduce((sum, event) => sum + event.entries, 0),
+              timestamp: last.timestamp
+            },
+            { transaction }
+          );
+          await this.WhitelistProgressEventModel.destroy({
+            where: { id: { [Op.in]: events.map((event) => event.id) } },
+            transaction
           });
-          this.logDebug(`New record created with initial progress: ${playerRecord.progress}`);
-        } else {
-          this.logDebug(`Existing record found. Current progress: ${playerRecord.progress}`);
-        }
+        });
+      }
+      this.logDebug('Progress history maintenance complete.');
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to maintain progress history:', error);
+    }
+  }
 
-        const newProgress = playerRecord.progress + progressIncrement;
+  /**
+   * Brings the `whitelisted` flag in line with current progress:
+   * - Players at or above the whitelist threshold join the whitelist.
+   * - Whitelisted players below the removal threshold have the time they dropped recorded,
+   *   and lose the whitelist once they have stayed below it for `removalGraceHours`.
+   * - Players who climb back above the removal threshold have their grace period cleared.
+   * - Players with a `never` override never join, and lose the whitelist straight away.
+   *   Players with an `always` override never lose it, and have no grace period running.
+   * Membership changes are recorded in the ledger as whitelist_gained / whitelist_lost.
+   * @returns {Promise<{ gained: object[], lost: object[] }>}
+   */
+  async refreshWhitelistStatus() {
+    const now = new Date();
+    const graceCutoff = new Date(now.getTime() - this.options.removalGraceHours * 60 * 60 * 1000);
+    let gained = [];
+    let lost = [];
 
-        // Check for milestones to send a progress message.
-        const oldMilestone = Math.floor(oldProgress / 10);
-        const newMilestone = Math.floor(newProgress / 10);
-        const isWhitelisted = newProgress >= this.options.threshold;
-        const wasWhitelisted = oldProgress >= this.options.threshold;
+    try {
+      await this.writeTransaction(async (transaction) => {
+        const overrides = [...(await this.getActiveOverrides(null, transaction)).values()];
+        const overrideSteamIDs = (type) =>
+          overrides.filter((override) => override.type === type).map((o) => o.steamID);
+        const alwaysSteamIDs = overrideSteamIDs(OVERRIDE_TYPES.ALWAYS);
+        const neverSteamIDs = overrideSteamIDs(OVERRIDE_TYPES.NEVER);
 
-        const header = '═════ SL WHITELIST ═════';
-        const footer = '══════════════════════';
+        gained = await this.WhitelistProgressModel.findAll({
+          where: this.scopeWhere({
+            whitelisted: false,
+            progress: { [Op.gte]: this.whitelistThreshold },
+            steamID: { [Op.notIn]: neverSteamIDs }
+          }),
+          attributes: ['steamID', 'progress'],
+          raw: true,
+          transaction
+        });
+        if (gained.length > 0) {
+          await this.WhitelistProgressModel.update(
+            { whitelisted: true, belowThresholdSince: null, whitelistedAt: now },
+            {
+              where: this.scopeWhere({ steamID: { [Op.in]: gained.map((r) => r.steamID) } }),
+              transaction
+            }
+          );
+        }
 
-        // Send a message only if the player is not already whitelisted and they have crossed a new 10% milestone.
-        if (!wasWhitelisted && newMilestone > oldMilestone) {
-          let message = '';
-          if (isWhitelisted) {
-            message = `You are now on the whitelist!`;
-          } else {
-            const progressPercentage = Math.round((newProgress / this.options.threshold) * 100);
-            message = `Progress Update: ${progressPercentage}%`;
+        await this.WhitelistProgressModel.update(
+          { belowThresholdSince: now },
+          {
+            where: this.scopeWhere({
+              whitelisted: true,
+              progress: { [Op.lt]: this.removalThreshold },
+              belowThresholdSince: null,
+              steamID: { [Op.notIn]: alwaysSteamIDs }
+            }),
+            transaction
           }
-          this.server.rcon.warn(leader.steamID, `${header}\n` + `${message}\n` + `${footer}`);
-          this.logDebug(
-            `Sent progress update message to ${leader.name}. New progress: ${newProgress.toFixed(
-              2
-            )}`
+        );
+        await this.WhitelistProgressModel.update(
+          { belowThresholdSince: null },
+          {
+            where: this.scopeWhere({
+              belowThresholdSince: { [Op.ne]: null },
+              [Op.or]: [
+                { progress: { [Op.gte]: this.removalThreshold } },
+                { steamID: { [Op.in]: alwaysSteamIDs } }
+              ]
+            }),
+            transaction
+          }
+        );
+
+        lost = await this.WhitelistProgressModel.findAll({
+          where: this.scopeWhere({
+            whitelisted: true,
+            [Op.and]: [
+              { steamID: { [Op.notIn]: alwaysSteamIDs } },
+              {
+                [Op.or]: [
+                  {
+                    progress: { [Op.lt]: this.removalThreshold },
+                    belowThresholdSince: { [Op.lte]: graceCutoff }
+                  },
+                  { steamID: { [Op.in]: neverSteamIDs } }
+                ]
+              }
+            ]
+          }),
+          attributes: ['steamID', 'progress'],
+          raw: true,
+          transaction
+        });
+        if (lost.length > 0) {
+          await this.WhitelistProgressModel.update(
+            { whitelisted: false, belowThresholdSince: null, whitelistedAt: null },
+            {
+              where: this.scopeWhere({ steamID: { [Op.in]: lost.map((r) => r.steamID) } }),
+              transaction
+            }
           );
         }
+      });
 
-        playerRecord.progress = newProgress;
-        playerRecord.lastProgressed = now; // Updated to lastProgressed
+      const events = [
+        ...gained.map((r) => ({ r, reason: PROGRESS_REASONS.WHITELIST_GAINED })),
+        ...lost.map((r) => ({ r, reason: PROGRESS_REASONS.WHITELIST_LOST }))
+      ].map(({ r, reason }) => ({
+        steamID: r.steamID,
+        delta: 0,
+        progressAfter: r.progress,
+        reason,
+        serverID: this.serverID,
+        timestamp: now
+      }));
+      await this.saveProgressEvents(events);
+
+      if (events.length > 0) {
         this.logDebug(
-          `New progress value for ${leader.name} before saving: ${playerRecord.progress.toFixed(2)}`
+          `Whitelist status refreshed: ${gained.length} joined, ${lost.length} removed.`
         );
-        await playerRecord.save();
-        this.logDebug(
-          `Awarded progress to: ${
-            leader.name
-          }. New progress after saving: ${playerRecord.progress.toFixed(2)}`
+        this.scheduleWhitelistRegeneration(
+          `${gained.length} joined and ${lost.length} left the whitelist`
         );
+        await this.notifyWhitelistChanges(gained, lost);
+      }
+      if (this.options.broadcastNewWhitelisted) {
+        for (const record of gained) this.pendingAnnouncements.add(record.steamID);
+        for (const record of lost) this.pendingAnnouncements.delete(record.steamID);
       }
-      this.logDebug('Finished awarding progress to all eligible leaders.');
     } catch (error) {
-      this.logDebug('[ERROR] Error in onPlayerInformationUpdate:', error);
+      this.logDebug('[ERROR] Failed to refresh whitelist status:', error);
     }
+    return { gained, lost };
   }
 
   /**
-   * Starts an interval to periodically award progress to eligible squad leaders.
+   * Describes how close a whitelisted player is to losing the whitelist, in their language,
+   * or returns null if they are comfortably above the removal threshold.
+   * @param {object} record - A WhitelistProgress record.
+   * @returns {?string}
    */
-  startProgressTracking() {
-    this.logDebug('Attempting to start progress tracking interval.');
-    if (this.progressInterval) {
-      this.logDebug('Existing progress interval found. Clearing it before starting a new one.');
-      clearInterval(this.progressInterval);
+  describeRemovalRisk(record) {
+    if (!record.whitelisted) return null;
+
+    if (record.belowThresholdSince) {
+      const graceEnds =
+        new Date(record.belowThresholdSince).getTime() +
+        this.options.removalGraceHours * 60 * 60 * 1000;
+      return this.formatMessage(record.steamID, 'removalGrace', {
+        duration: this.formatDuration(Math.max(0, graceEnds - Date.now()))
+      });
     }
-    // This interval runs every 30 seconds. The progress amount is adjusted accordingly.
-    this.progressInterval = setInterval(async () => {
-      this.logDebug('Progress tracking interval triggered.');
-      const players = this.server.players;
-      if (players) {
-        this.logDebug('Player data available. Calling onPlayerInformationUpdate.');
-        await this.onPlayerInformationUpdate(players);
-      } else {
-        this.logDebug('No player data available. Skipping progress update.');
-      }
-    }, 30000); // 30 seconds
-    this.logDebug('Progress tracking interval started successfully.');
-  }
 
-  /**
-   * Starts an interval to periodically decay progress for all players.
-   */
-  startDecayInterval() {
-    this.logDebug('Attempting to start decay interval.');
-    if (this.decayInterval) {
-      this.logDebug('Existing decay interval found. Clearing it before starting a new one.');
-      clearInterval(this.decayInterval);
+    const margin = this.options.removalWarningMargin;
+    if (margin > 0 && record.progress < this.removalThreshold + margin) {
+      return this.formatMessage(record.steamID, 'removalRisk', {
+        removalThreshold: this.removalThreshold
+      });
     }
-    this.logDebug(`Decay interval set to run every ${this.options.decayIntervalSeconds} seconds.`);
-    this.decayInterval = setInterval(async () => {
-      this.logDebug('Decay interval triggered. Calling decayWhitelistProgress.');
-      await this.decayWhitelistProgress();
-    }, this.options.decayIntervalSeconds * 1000);
-    this.logDebug('Decay interval started successfully.');
+    return null;
   }
 
   /**
-   * Starts an interval to periodically generate the whitelist file.
-   * This replaces the previous NEW_GAME event trigger.
+   * Warns online whitelisted players who are close to losing the whitelist, at most once per
+   * `removalWarningCooldownMinutes` per player.
+   * @param {object[]} players - The players currently on the server.
    */
-  startWhitelistGenerationInterval() {
-    this.logDebug('Attempting to start whitelist generation interval.');
-    if (this.whitelistInterval) {
-      this.logDebug(
-        'Existing whitelist generation interval found. Clearing it before starting a new one.'
-      );
-      clearInterval(this.whitelistInterval);
-    }
-    const intervalInMinutes = this.options.whitelistUpdateMinutes;
-    const intervalMilliseconds = intervalInMinutes * 60 * 1000;
-    this.logDebug(`Whitelist generation interval set to run every ${intervalInMinutes} minutes.`);
+  async warnPlayersNearRemoval(players) {
+    if (this.options.removalWarningMargin <= 0 && this.options.removalGraceHours <= 0) return;
 
-    this.whitelistInterval = setInterval(async () => {
-      this.logDebug('Whitelist generation interval triggered. Calling generateWhitelistFile.');
-      await this.generateWhitelistFile();
-    }, intervalMilliseconds);
+    try {
+      const now = Date.now();
+      const cooldown = this.options.removalWarningCooldownMinutes * 60 * 1000;
+      const records = await this.WhitelistProgressModel.findAll({
+        where: this.scopeWhere({
+          steamID: { [Op.in]: players.map((p) => p.steamID) },
+          whitelisted: true,
+          progress: { [Op.lt]: this.removalThreshold + this.options.removalWarningMargin }
+        })
+      });
 
-    this.logDebug('Whitelist generation interval started successfully.');
+      for (const record of records) {
+        const lastWarned = this.removalWarnedAt.get(record.steamID);
+        if (lastWarned && now - lastWarned < cooldown) continue;
+
+        const risk = this.describeRemovalRisk(record);
+        if (!risk) continue;
+
+        this.removalWarnedAt.set(record.steamID, now);
+        this.sendPlayerMessage(record.steamID, [
+          this.formatMessage(record.steamID, 'removalWarning', {
+            risk,
+            progress: record.progress.toFixed(1)
+          })
+        ]);
+        this.logDebug(`Sent removal warning to ${record.steamID}.`);
+      }
+    } catch (error) {
+      this.logDebug('[ERROR] Failed to warn players near removal:', error);
+    }
   }
 
   /**
@@ -590,51 +5523,269 @@ export default class SquadLeaderWhitelist extends BasePlugin {
     const now = new Date();
     const decayAfterMilliseconds = this.options.decayAfterHours * 60 * 60 * 1000;
     const decayIntervalMilliseconds = this.options.decayIntervalSeconds * 1000;
-    const decayAmountPerInterval =
-      (this.options.decayPerHour / (60 * 60 * 1000)) * decayIntervalMilliseconds;
 
-    this.logDebug(
-      `Decay is active. Decay amount per interval: ${decayAmountPerInterval.toFixed(2)}`
-    );
+    this.logDebug(`Decay is active. Decay model: ${this.options.decayModel}.`);
 
     try {
-      this.logDebug('Fetching all players from the database for decay calculation.');
-      const allPlayers = await this.WhitelistProgressModel.findAll();
+      // Pooled rows are shared by every instance on the database, so only one decays them.
+      if (
+        this.progressServerID === POOLED_SERVER_ID &&
+        !(await this.claimTask('decay-pooled', decayIntervalMilliseconds))
+      ) {
+        this.logDebug('Pooled decay already run by another instance this interval. Skipping.');
+        return;
+      }
 
-      let updatedCount = 0;
-      for (const playerRecord of allPlayers) {
-        const timeSinceLastProgress = now - playerRecord.lastProgressed;
-        this.logDebug(
-          `Player ${playerRecord.steamID}: time since last progress: ${timeSinceLastProgress}ms. Threshold: ${decayAfterMilliseconds}ms.`
-        );
+      const startedAt = Date.now();
+      const frozenSteamIDs = [...(await this.getActiveOverrides()).values()]
+        .filter((override) => override.type === OVERRIDE_TYPES.FROZEN)
+        .map((override) => override.steamID);
+      // Only rows that have been inactive long enough, still have progress to lose, and are
+      // neither frozen nor paused.
+      const where = this.scopeWhere({
+        lastProgressed: { [Op.lt]: new Date(now.getTime() - decayAfterMilliseconds) },
+        progress: { [Op.gt]: 0 },
+        steamID: { [Op.notIn]: frozenSteamIDs },
+        [Op.or]: [{ decayPausedUntil: null }, { decayPausedUntil: { [Op.lte]: now } }]
+      });
 
-        // Only apply decay if the player has not gained progress for the configured duration.
-        if (timeSinceLastProgress > decayAfterMilliseconds) {
-          this.logDebug(`Player ${playerRecord.steamID} is inactive. Applying decay.`);
-          // Calculate the new progress. Ensure it doesn't go below 0.
-          const newProgress = Math.max(0, playerRecord.progress - decayAmountPerInterval);
+      let decayedRecords = [];
+      await this.writeTransaction(async (transaction) => {
+        if (this.options.decayModel === DECAY_MODELS.STEPPED) {
+          // Frozen and paused players are not charged later for the days they sat out.
+          await this.WhitelistProgressModel.update(
+            { lastDecayStepAt: now },
+            {
+              where: this.scopeWhere({
+                lastProgressed: { [Op.lt]: new Date(now.getTime() - decayAfterMilliseconds) },
+                [Op.or]: [
+                  { steamID: { [Op.in]: frozenSteamIDs } },
+                  { decayPausedUntil: { [Op.gt]: now } }
+                ]
+              }),
+              transaction
+            }
+          );
+        }
 
-          if (newProgress < playerRecord.progress) {
-            playerRecord.progress = newProgress;
-            await playerRecord.save();
-            updatedCount++;
-            this.logDebug(
-              `Decayed progress for ${
-                playerRecord.steamID
-              }. New progress: ${playerRecord.progress.toFixed(2)}`
-            );
+        // The pre-decay values are read for the ledger, and by the stepped model to count each
+        // player's outstanding steps. The decay itself is written relative to the stored
+        // progress, so nothing read here is written back.
+        const records = await this.WhitelistProgressModel.findAll({
+          where,
+          attributes: [
+            'steamID',
+            'progress',
+            'lastProgressed',
+            'whitelisted',
+            'whitelistedAt',
+            'lastDecayStepAt'
+          ],
+          raw: true,
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+        decayedRecords = records
+          .map((record) => ({
+            ...record,
+            newProgress: this.calculateDecay(record, now, decayIntervalMilliseconds)
+          }))
+          .filter((record) => record.newProgress < record.progress);
+        if (decayedRecords.length === 0) return;
+
+        if (this.options.decayModel === DECAY_MODELS.STEPPED) {
+          await this.applySteppedDecay(decayedRecords, now, decayIntervalMilliseconds, transaction);
+          return;
+        }
+        const decayed =
+          this.options.decayModel === DECAY_MODELS.PERCENTAGE
+            ? `progress * ${this.getPercentageDecayFactor(decayIntervalMilliseconds)}`
+            : `progress - ${this.getLinearDecayAmount(decayIntervalMilliseconds)}`;
+        const floorWhere = this.getDecayFloorWhere(now);
+        await this.WhitelistProgressModel.update(
+          { progress: this.buildDecayedProgress(decayed, 0) },
+          {
+            where: floorWhere ? { [Op.and]: [where, { [Op.not]: floorWhere }] } : where,
+            transaction
           }
-        } else {
-          this.logDebug(`Player ${playerRecord.steamID} is active. Skipping decay.`);
+        );
+        if (floorWhere) {
+          const floor = this.options.decayFloor;
+          await this.WhitelistProgressModel.update(
+            { progress: this.buildDecayedProgress(decayed, floor) },
+            {
+              where: { [Op.and]: [where, floorWhere, { progress: { [Op.gt]: floor } }] },
+              transaction
+            }
+          );
         }
+      });
+
+      const events = [];
+      for (const record of decayedRecords) {
+        this.logDebug(
+          `Decayed progress for ${record.steamID}. New progress: ${record.newProgress.toFixed(2)}`
+        );
+        events.push(
+          ...this.buildProgressEvents(
+            record.steamID,
+            record.progress,
+            record.newProgress,
+            PROGRESS_REASONS.DECAY,
+            { playerCount }
+          )
+        );
       }
-      this.logDebug(`Progress decay complete. Updated ${updatedCount} players.`);
+      await this.saveProgressEvents(events);
+      await this.refreshWhitelistStatus();
+
+      this.logDebug(
+        `Progress decay complete. Updated ${decayedRecords.length} players in ${
+          Date.now() - startedAt
+        }ms.`
+      );
     } catch (error) {
       this.logDebug('[ERROR] Failed to decay whitelist progress:', error);
       this.logDebug('Error during progress decay process.');
     }
   }
 
+  /**
+   * Works out how much progress a player loses in one decay tick under the configured
+   * `decayModel`, before any floor.
+   * - linear: `decayPerHour`, prorated to the tick length.
+   * - percentage: `decayPercentPerDay` of current progress, compounded over the tick length.
+   * - stepped: `decayStepAmount` for each full inactive day (counted from the end of
+   *   `decayAfterHours`) that has ended since `lastDecayStepAt`. Days that ended while decay
+   *   was not running, e.g. below `minPlayersForDecay` or while the server was down, are
+   *   charged together on the next tick.
+   * @param {object} record - The player's progress row.
+   * @param {Date} now - The time of this tick.
+   * @param {number} intervalMilliseconds - The length of a decay tick.
+   * @returns {number}
+   */
+  calculateDecayLoss(record, now, intervalMilliseconds) {
+    if (this.options.decayModel === DECAY_MODELS.PERCENTAGE) {
+      return record.progress * (1 - this.getPercentageDecayFactor(intervalMilliseconds));
+    }
+    if (this.options.decayModel === DECAY_MODELS.STEPPED) {
+      const dayMilliseconds = 24 * 60 * 60 * 1000;
+      const inactiveSince =
+        new Date(record.lastProgressed).getTime() + this.options.decayAfterHours * 60 * 60 * 1000;
+      const stepsBy = (time) => Math.max(0, Math.floor((time - inactiveSince) / dayMilliseconds));
+      // Steps charged before the player was last credited belong to an earlier stretch and
+      // count as 0 here.
+      const chargedUntil = record.lastDecayStepAt ? new Date(record.lastDecayStepAt).getTime() : 0;
+      return (
+        Math.max(0, stepsBy(now.getTime()) - stepsBy(chargedUntil)) * this.options.decayStepAmount
+      );
+    }
+    return this.getLinearDecayAmount(intervalMilliseconds);
+  }
+
+  /**
+   * Works out a player's progress after one decay tick. Progress never drops below 0, or below
+   * `decayFloor` for players it protects.
+   * @param {object} record - The player's progress row.
+   * @param {Date} now - The time of this tick.
+   * @param {number} intervalMilliseconds - The length of a decay tick.
+   * @returns {number} The new progress.
+   */
+  calculateDecay(record, now, intervalMilliseconds) {
+    const loss = this.calculateDecayLoss(record, now, intervalMilliseconds);
+    const floor = this.isProtectedByDecayFloor(record, now) ? this.options.decayFloor : 0;
+    return Math.max(Math.min(record.progress, floor), record.progress - loss);
+  }
+
+  /**
+   * The progress lost per decay tick under the linear model.
+   * @param {number} intervalMilliseconds - The length of a decay tick.
+   * @returns {number}
+   */
+  getLinearDecayAmount(intervalMilliseconds) {
+    return (this.options.decayPerHour / (60 * 60 * 1000)) * intervalMilliseconds;
+  }
+
+  /**
+   * The fraction of progress kept per decay tick under the percentage model.
+   * @param {number} intervalMilliseconds - The length of a decay tick.
+   * @returns {number}
+   */
+  getPercentageDecayFactor(intervalMilliseconds) {
+    const keptPerDay = 1 - Math.min(100, this.options.decayPercentPerDay) / 100;
+    return keptPerDay ** (intervalMilliseconds / (24 * 60 * 60 * 1000));
+  }
+
+  /**
+   * Builds the new value of the progress column for a decay UPDATE: `decayed`, but no lower
+   * than `lower`.
+   * @param {string} decayed - An SQL expression for the decayed progress.
+   * @param {number} lower - The lowest progress the decay may leave.
+   * @returns {Literal}
+   */
+  buildDecayedProgress(decayed, lower) {
+    return Sequelize.literal(`CASE WHEN ${decayed} > ${lower} THEN ${decayed} ELSE ${lower} END`);
+  }
+
+  /**
+   * Builds a where clause matching the players `decayFloor` protects, as in
+   * `isProtectedByDecayFloor`.
+   * @param {Date} now - The current time.
+   * @returns {?object} Null if `decayFloor` is off.
+   */
+  getDecayFloorWhere(now) {
+    if (this.options.decayFloor <= 0) return null;
+    const whitelistedBefore = new Date(
+      now.getTime() - this.options.decayFloorMinWhitelistedDays * 24 * 60 * 60 * 1000
+    );
+    return {
+      whitelisted: true,
+      [Op.or]: [{ whitelistedAt: null }, { whitelistedAt: { [Op.lte]: whitelistedBefore } }]
+    };
+  }
+
+  /**
+   * Writes stepped decay for the players who owe steps this tick. Players owing the same loss
+   * are charged together with one UPDATE relative to their stored progress, which also records
+   * when they were charged.
+   * @param {object[]} records - The decaying players' progress rows.
+   * @param {Date} now - The time of this tick.
+   * @param {number} intervalMilliseconds - The length of a decay tick.
+   * @param {Transaction} transaction - The decay transaction.
+   */
+  async applySteppedDecay(records, now, intervalMilliseconds, transaction) {
+    const groups = new Map(); // "loss:floor" → { loss, floor, steamIDs }
+    for (const record of records) {
+      const loss = this.calculateDecayLoss(record, now, intervalMilliseconds);
+      const floor = this.isProtectedByDecayFloor(record, now) ? this.options.decayFloor : 0;
+      const key = `${loss}:${floor}`;
+      if (!groups.has(key)) groups.set(key, { loss, floor, steamIDs: [] });
+      groups.get(key).steamIDs.push(record.steamID);
+    }
+    for (const { loss, floor, steamIDs } of groups.values()) {
+      await this.WhitelistProgressModel.update(
+        { progress: this.buildDecayedProgress(`progress - ${loss}`, floor), lastDecayStepAt: now },
+        { where: this.scopeWhere({ steamID: { [Op.in]: steamIDs } }), transaction }
+      );
+    }
+  }
+
+  /**
+   * Checks whether `decayFloor` applies to a player: they must be whitelisted, and have been
+   * for `decayFloorMinWhitelistedDays`. Players whitelisted before join times were recorded
+   * count as long-standing.
+   * @param {object} record - The player's progress row.
+   * @param {Date} now - The current time.
+   * @returns {boolean}
+   */
+  isProtectedByDecayFloor(record, now) {
+    if (this.options.decayFloor <= 0 || !record.whitelisted) return false;
+    if (!record.whitelistedAt) return true;
+    const whitelistedDays =
+      (now.getTime() - new Date(record.whitelistedAt).getTime()) / (24 * 60 * 60 * 1000);
+    return whitelistedDays >= this.options.decayFloorMinWhitelistedDays;
+  }
+
   /**
    * Ensures the whitelist file exists, creating it if it doesn't.
    */
@@ -669,17 +5820,81 @@ export default class SquadLeaderWhitelist extends BasePlugin {
     }
   }
 
+  /**
+   * Extracts the manual section from the current whitelist file content. Files written before
+   * the manual section existed have no markers; any of their lines that the plugin did not
+   * generate (other groups, other admins, comments) are moved into the manual section instead.
+   * @param {string} content - The current content of the whitelist file.
+   * @returns {string} The manual section, without markers.
+   */
+  extractManualEntries(content) {
+    const lines = content.split(/\r?\n/);
+    const start = lines.indexOf(MANUAL_SECTION_START);
+    const end = lines.indexOf(MANUAL_SECTION_END);
+    if (start !== -1 && end > start) {
+      return lines.slice(start + 1, end).join('\n');
+    }
+
+    const managedGroups = new Set(this.tiers.map((tier) => tier.group));
+    return lines
+      .filter((line) => {
+        const trimmed = line.trim();
+        if (!trimmed) return false;
+        const group = trimmed.match(/^Group=([^:]+):/);
+        if (group) return !managedGroups.has(group[1]);
+        const admin = trimmed.match(/^Admin=[^:]+:([^\s/]+)/);
+        if (admin) return !managedGroups.has(admin[1]);
+        return true;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Builds the comment appended to a generated `Admin=` line when `whitelistEntryComments` is on.
+   * @param {object} record - A WhitelistProgress record.
+   * @param {?object} identity - The player's WhitelistPlayer row, if known.
+   * @returns {string}
+   */
+  formatEntryComment(record, identity) {
+    const parts = [];
+    if (identity && identity.name) parts.push(identity.name);
+    parts.push(`${Math.floor(record.progress)} progress`);
+    if (record.whitelistedAt) {
+      parts.push(`since ${new Date(record.whitelistedAt).toISOString().slice(0, 10)}`);
+    }
+    return ` // ${parts.join(', ')}`;
+  }
+
+  /**
+   * Writes a file via a temporary file and a rename, so a reload by the server never sees a
+   * partially written whitelist.
+   * @param {string} filePath - The full path of the file.
+   * @param {string} content - The new content.
+   */
+  async writeFileAtomic(filePath, content) {
+    // Unique per write, since several instances in one process may share a whitelist file.
+    const tempPath = `${filePath}.${process.pid}.${this.serverID}.${crypto.randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, content);
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
   /**
    * Generates and writes the admin_whitelist.txt file based on current progress.
    */
   async generateWhitelistFile() {
     this.logDebug('Starting generation of admin_whitelist.txt file.');
     try {
-      // Get the user-defined path and group name from options.
+      // Get the user-defined path and tier groups from options.
       const userPath = this.options.managedWhitelistPath;
-      const groupName = this.options.managedWhitelistGroup;
       this.logDebug(`Configured whitelist path: ${userPath}`);
-      this.logDebug(`Configured group name: ${groupName}`);
+      this.logDebug(
+        `Configured tiers: ${this.tiers.map((t) => `${t.name} (${t.threshold})`).join(', ')}`
+      );
 
       // Get the server's base path, with a fallback just in case.
       const basePath =
@@ -695,33 +5910,100 @@ export default class SquadLeaderWhitelist extends BasePlugin {
       const filePath = path.isAbsolute(userPath) ? userPath : path.join(basePath, userPath);
       this.logDebug(`Determined full file path: ${filePath}`);
 
-      this.logDebug(
-        `Fetching whitelisted players from database with a progress >= ${this.options.threshold}...`
-      );
+      this.logDebug('Fetching whitelisted players from database...');
       // Fetch all whitelisted players from the database.
-      const whitelistedPlayers = await this.WhitelistProgressModel.findAll({
-        where: { progress: { [Op.gte]: this.options.threshold } },
-        attributes: ['steamID']
+      await this.refreshWhitelistStatus();
+      // Any changes found just now are written by this run, so a pending regeneration is redundant.
+      clearTimeout(this.regenerateTimeout);
+      this.regenerateTimeout = null;
+      // Overrides add players regardless of progress (always) or remove them (never).
+      const overrides = await this.getActiveOverrides();
+      const alwaysSteamIDs = [...overrides.values()]
+        .filter((override) => override.type === OVERRIDE_TYPES.ALWAYS)
+        .map((override) => override.steamID);
+      const records = await this.WhitelistProgressModel.findAll({
+        where: this.scopeWhere({
+          [Op.or]: [{ whitelisted: true }, { steamID: { [Op.in]: alwaysSteamIDs } }]
+        }),
+        attributes: ['steamID', 'eosID', 'progress', 'whitelistedAt'],
+        raw: true
       });
-      this.logDebug(`Found ${whitelistedPlayers.length} players to be whitelisted.`);
+      const recordedSteamIDs = new Set(records.map((record) => record.steamID));
+      const whitelistedPlayers = [
+        ...records,
+        ...alwaysSteamIDs
+          .filter((steamID) => !recordedSteamIDs.has(steamID))
+          .map((steamID) => ({ steamID, eosID: null, progress: 0, whitelistedAt: null }))
+      ].filter((p) => {
+        const override = overrides.get(p.steamID);
+        return !override || override.type !== OVERRIDE_TYPES.NEVER;
+      });
+      this.logDebug(
+        `Found ${whitelistedPlayers.length} players to be whitelisted, including ${alwaysSteamIDs.length} with an always override.`
+      );
+
+      // Carry over the manual section of the existing file.
+      let existingContent = '';
+      try {
+        existingContent = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      const manualEntries = this.extractManualEntries(existingContent);
+      this.logDebug(
+        `Preserving ${manualEntries ? manualEntries.split('\n').length : 0} manual lines.`
+      );
 
-      // Construct the content for the file.
-      const groupDefinition = `Group=${groupName}:reserve`;
+      // Construct the content for the file. Each player is listed under their highest tier, by
+      // SteamID and, where known, also by EOS ID for players who join through Epic.
+      const groupDefinitions = [
+        ...new Set(this.tiers.map((tier) => `Group=${tier.group}:${tier.permissions}`))
+      ].join('\n');
+      const identities = await this.getPlayerIdentities(whitelistedPlayers.map((p) => p.steamID));
       const adminLines = whitelistedPlayers
-        .map((p) => `Admin=${p.steamID}:${groupName}`)
+        .flatMap((p) => {
+          const identity = identities.get(p.steamID);
+          const eosID = p.eosID || (identity ? identity.eosID : null);
+          const group = (this.getTier(p.progress) || this.tiers[0]).group;
+          const comment = this.options.whitelistEntryComments
+            ? this.formatEntryComment(p, identity)
+            : '';
+          return [p.steamID, eosID].filter(Boolean).map((id) => `Admin=${id}:${group}${comment}`);
+        })
         .join('\n');
-      const whitelistContent = `${groupDefinition}\n\n${adminLines}\n`;
+      const whitelistContent = [
+        '// Lines between the markers below are kept when this file is regenerated.',
+        MANUAL_SECTION_START,
+        ...(manualEntries ? [manualEntries] : []),
+        MANUAL_SECTION_END,
+        '',
+        '// Everything below is generated by SquadLeaderWhitelist and will be overwritten.',
+        groupDefinitions,
+        '',
+        adminLines,
+        ''
+      ].join('\n');
       this.logDebug('Whitelist content constructed.');
 
+      if (whitelistContent === existingContent) {
+        this.logDebug('Whitelist content unchanged. Skipped writing the file.');
+        return;
+      }
+
       this.logDebug('Writing whitelist content to file...');
-      await fs.writeFile(filePath, whitelistContent);
+      await this.writeFileAtomic(filePath, whitelistContent);
 
       this.logDebug(
         `Wrote ${whitelistedPlayers.length} players to the whitelist file located at: ${filePath}`
       );
+      await this.reloadAdminConfig();
       this.logDebug('Whitelist file generation complete.');
     } catch (error) {
       this.logDebug('[ERROR] Failed to generate whitelist file:', error);
+      this.emitWebhookEvent(WEBHOOK_EVENTS.ERROR, {
+        title: 'Whitelist file generation failed',
+        description: String(error && error.message ? error.message : error)
+      });
       this.logDebug('Error during whitelist file generation process.');
     }
   }
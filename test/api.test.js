@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { getFreePort, MANUAL_TIMERS, mountPlugin } from './support/harness.js';
+
+const TOKEN = 'test-token';
+
+describe('HTTP API', () => {
+  let context;
+  let request;
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+    const port = await getFreePort();
+    context = await mountPlugin({
+      ...MANUAL_TIMERS,
+      apiPort: port,
+      apiToken: TOKEN,
+      webhooks: [{ url: 'https://discord.com/api/webhooks/1234/secret-token', events: ['error'] }]
+    });
+    /**
+     * Sends an authorized request to the API and returns { status, body }.
+     */
+    request = async (method, pathname, body) => {
+      const response = await fetch(`http://127.0.0.1:${port}${pathname}`, {
+        method,
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+        body
+      });
+      return { status: response.status, body: await response.json() };
+    };
+  });
+
+  afterEach(async () => {
+    await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  it('leaves secrets out of /config', async () => {
+    const { status, body } = await request('GET', '/config');
+
+    assert.equal(status, 200);
+    assert.equal(body.apiToken, undefined);
+    assert.equal(body.database, undefined);
+    assert.deepEqual(body.webhooks, [{ url: 'https://discord.com/***', events: ['error'] }]);
+    assert.equal(body.threshold, 100);
+  });
+
+  it('adjusts progress through /players/:steamID/adjust', async () => {
+    const { status, body } = await request(
+      'POST',
+      '/players/76561198000000001/adjust',
+      JSON.stringify({ action: 'add', amount: 30 })
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.steamID, '76561198000000001');
+    const record = await context.plugin.WhitelistProgressModel.findOne({
+      where: { steamID: '76561198000000001' }
+    });
+    assert.equal(record.progress, 30);
+  });
+
+  it('rejects adjust bodies that are not JSON objects', async () => {
+    for (const body of ['null', '[]', '"add"', '{']) {
+      const response = await request('POST', '/players/76561198000000001/adjust', body);
+      assert.deepEqual(response, { status: 400, body: { error: 'Invalid JSON body.' } }, body);
+    }
+  });
+
+  it('rejects requests without the token', async () => {
+    const response = await fetch(`http://127.0.0.1:${context.plugin.options.apiPort}/config`);
+    assert.equal(response.status, 401);
+    await response.body.cancel();
+  });
+});
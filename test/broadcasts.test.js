@@ -0,0 +1,146 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { createPlayer, createSquad, MANUAL_TIMERS, mountPlugin } from './support/harness.js';
+
+const MINUTE = 60 * 1000;
+
+describe('broadcasts', () => {
+  let context;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Mounts the plugin with `players` online and returns it.
+   */
+  async function setup(options, players) {
+    context = await mountPlugin({ ...MANUAL_TIMERS, ...options }, { players });
+    return context.plugin;
+  }
+
+  it('sends the advert every broadcastAdvertMinutes above broadcastAdvertMinPlayers', async () => {
+    const players = [createPlayer(0), createPlayer(1)];
+    const plugin = await setup(
+      { broadcastAdvertMinutes: 30, broadcastAdvertMinPlayers: 2 },
+      players
+    );
+
+    await plugin.sendBroadcasts(players, false);
+    assert.deepEqual(context.server.broadcasts, [
+      'Lead a squad to earn a free whitelist spot! About 2h of squad leading gets you on. Type !slwl to see your progress.'
+    ]);
+
+    mock.timers.tick(29 * MINUTE);
+    await plugin.sendBroadcasts(players, false);
+    assert.equal(context.server.broadcasts.length, 1, 'still on cooldown');
+
+    mock.timers.tick(MINUTE);
+    await plugin.sendBroadcasts(players.slice(1), false);
+    assert.equal(context.server.broadcasts.length, 1, 'too few players');
+
+    await plugin.sendBroadcasts(players, false);
+    assert.equal(context.server.broadcasts.length, 2);
+  });
+
+  it('congratulates players who joined the whitelist together, by name', async () => {
+    const players = [createPlayer(0)];
+    const plugin = await setup(
+      {
+        broadcastNewWhitelisted: true,
+        broadcastNewWhitelistedMinPlayers: 0,
+        broadcastNewWhitelistedCooldownMinutes: 5
+      },
+      players
+    );
+    await plugin.WhitelistPlayerModel.create({ steamID: '1', name: 'Offline' });
+    await plugin.WhitelistProgressModel.bulkCreate([
+      { steamID: players[0].steamID, progress: 150 },
+      { steamID: '1', progress: 150 }
+    ]);
+    await plugin.refreshWhitelistStatus();
+
+    await plugin.sendBroadcasts(players, false);
+    assert.equal(context.server.broadcasts.length, 1);
+    assert.match(
+      context.server.broadcasts[0],
+      /^Congratulations to (Player0, Offline|Offline, Player0) on earning a whitelist spot/
+    );
+
+    await plugin.WhitelistProgressModel.create({ steamID: '2', progress: 150 });
+    await plugin.refreshWhitelistStatus();
+    await plugin.sendBroadcasts(players, false);
+    assert.equal(context.server.broadcasts.length, 1, 'later joiners wait for the cooldown');
+
+    mock.timers.tick(5 * MINUTE);
+    await plugin.sendBroadcasts(players, false);
+    assert.match(context.server.broadcasts[1], /^Congratulations to 2 on/);
+  });
+
+  it('calls for squad leaders when many players are squadless, mentioning the bonus', async () => {
+    const players = [...createSquad(1, 4), createPlayer(10), createPlayer(11), createPlayer(12)];
+    const plugin = await setup(
+      {
+        broadcastLeaderCall: true,
+        broadcastLeaderCallMinPlayers: 0,
+        broadcastLeaderCallSquadless: 3,
+        broadcastLeaderCallMinOpenSquads: 0,
+        matchCompletionBonus: 5
+      },
+      players
+    );
+
+    await plugin.sendBroadcasts(players.slice(0, 6), false);
+    assert.deepEqual(context.server.broadcasts, [], 'only two squadless players');
+
+    await plugin.sendBroadcasts(players, false);
+    assert.deepEqual(context.server.broadcasts, [
+      'Squad leaders wanted! 3 players are not in a squad. Lead an open squad to earn whitelist progress. Lead until the end of the match for a +5 bonus!'
+    ]);
+  });
+
+  it('calls for squad leaders when a team has too few open squads', async () => {
+    const players = [...createSquad(1, 4), ...createSquad(5, 4, { teamID: 2, locked: true })];
+    const plugin = await setup(
+      {
+        broadcastLeaderCall: true,
+        broadcastLeaderCallMinPlayers: 0,
+        broadcastLeaderCallSquadless: 0,
+        broadcastLeaderCallMinOpenSquads: 1
+      },
+      players
+    );
+
+    await plugin.sendBroadcasts(players, false);
+    assert.deepEqual(context.server.broadcasts, [
+      'Squad leaders wanted! Team 2 has only 0 open squads. Lead an open squad to earn whitelist progress.'
+    ]);
+  });
+
+  it('sends at most one broadcast at a time', async () => {
+    const players = [createPlayer(0)];
+    const plugin = await setup(
+      {
+        broadcastAdvertMinutes: 30,
+        broadcastAdvertMinPlayers: 0,
+        broadcastLeaderCall: true,
+        broadcastLeaderCallMinPlayers: 0,
+        broadcastLeaderCallSquadless: 1
+      },
+      players
+    );
+
+    await plugin.sendBroadcasts(players, false);
+    await plugin.sendBroadcasts(players, false);
+
+    assert.equal(context.server.broadcasts.length, 2);
+    assert.match(context.server.broadcasts[0], /^Squad leaders wanted!/);
+    assert.match(context.server.broadcasts[1], /^Lead a squad to earn/);
+  });
+});
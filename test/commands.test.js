@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { createPlayer, MANUAL_TIMERS, mountPlugin } from './support/harness.js';
+
+describe('!slwl', () => {
+  let context;
+  let caller;
+  let other;
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+    caller = createPlayer(0);
+    other = createPlayer(1);
+    context = await mountPlugin(MANUAL_TIMERS, { players: [caller, other] });
+    await context.plugin.WhitelistProgressModel.bulkCreate([
+      { steamID: '1', progress: 500, whitelisted: true },
+      { steamID: caller.steamID, progress: 150, whitelisted: true },
+      { steamID: other.steamID, progress: 80 },
+      { steamID: '2', progress: 60 }
+    ]);
+  });
+
+  afterEach(async () => {
+    await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Sends `!slwl <message>` as the caller and returns the reply.
+   */
+  async function command(message) {
+    await context.plugin.onChatCommand({ player: caller, message });
+    const [steamID, reply] = context.server.warns.at(-1);
+    assert.equal(steamID, caller.steamID);
+    return reply;
+  }
+
+  it('ranks whitelisted players among the whitelisted players', async () => {
+    assert.match(await command(''), /^Rank: 2 of 2 whitelisted players$/m);
+  });
+
+  it('ranks other players among everyone with progress', async () => {
+    const reply = await command(other.name);
+
+    assert.match(reply, /^Not whitelisted yet$/m);
+    assert.match(reply, /^Rank: 3 of 4$/m);
+  });
+
+  it('shows the usage for a single word that matches no player', async () => {
+    const reply = await command('tpo');
+
+    assert.match(reply, /^No online player matches "tpo"\.$/m);
+    assert.match(reply, /^Usage: !slwl /m);
+  });
+
+  it('does not show the usage for longer names that match no player', async () => {
+    const reply = await command('some body');
+
+    assert.match(reply, /^No online player matches "some body"\.$/m);
+    assert.doesNotMatch(reply, /Usage/);
+  });
+});
+
+describe('!slwl history', () => {
+  let context;
+  let caller;
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+    caller = createPlayer(0);
+  });
+
+  afterEach(async () => {
+    await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Mounts the plugin as server `a`, records one gain for the caller on each of servers `a`
+   * and `b`, and returns the caller's history.
+   */
+  async function history(whitelistScope) {
+    context = await mountPlugin(
+      { ...MANUAL_TIMERS, whitelistScope, serverID: 'a' },
+      { players: [caller] }
+    );
+    await context.plugin.WhitelistProgressEventModel.bulkCreate([
+      { steamID: caller.steamID, delta: 1, reason: 'gain', serverID: 'a', timestamp: new Date() },
+      { steamID: caller.steamID, delta: 2, reason: 'gain', serverID: 'b', timestamp: new Date() }
+    ]);
+    await context.plugin.onChatCommand({ player: caller, message: 'history' });
+    return context.server.warns.at(-1)[1];
+  }
+
+  it('shows only changes made on this server in server scope', async () => {
+    const reply = await history('server');
+
+    assert.match(reply, /^\+1\.00 gain/m);
+    assert.doesNotMatch(reply, /\+2\.00/);
+  });
+
+  it('shows changes from every server in pooled scope', async () => {
+    const reply = await history('pooled');
+
+    assert.match(reply, /^\+1\.00 gain/m);
+    assert.match(reply, /^\+2\.00 gain/m);
+  });
+});
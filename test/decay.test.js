@@ -0,0 +1,234 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import {
+  advance,
+  createPlayer,
+  getProgress,
+  MANUAL_TIMERS,
+  mountPlugin
+} from './support/harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 0, 5);
+const STEAM_ID = '76561198000009999';
+
+describe('decay', () => {
+  let context;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: NOW });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Moves the clock forward hour by hour, so each hourly decay finishes before the next.
+   */
+  async function advanceHours(plugin, hours) {
+    for (let hour = 0; hour < hours; hour++) await advance(plugin, HOUR);
+  }
+
+  /**
+   * Mounts the plugin with hourly decay at any population, and adds a player who was last
+   * credited `inactiveMilliseconds` ago.
+   */
+  async function setup(options, row, inactiveMilliseconds) {
+    context = await mountPlugin({
+      ...MANUAL_TIMERS,
+      decayIntervalSeconds: 60 * 60,
+      minPlayersForDecay: 0,
+      decayAfterHours: 2,
+      ...options
+    });
+    await context.plugin.WhitelistProgressModel.create({
+      steamID: STEAM_ID,
+      lastProgressed: new Date(NOW - inactiveMilliseconds),
+      ...row
+    });
+    return context.plugin;
+  }
+
+  it('decays inactive players by decayPerHour on each decay interval', async () => {
+    const plugin = await setup({ decayPerHour: 5 }, { progress: 50 }, 3 * HOUR);
+
+    await plugin.decayWhitelistProgress();
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 45);
+
+    await advance(plugin, HOUR);
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 40);
+  });
+
+  it('leaves recently active players alone', async () => {
+    const plugin = await setup({ decayPerHour: 5 }, { progress: 50 }, HOUR);
+
+    await plugin.decayWhitelistProgress();
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 50);
+  });
+
+  it('does not decay below minPlayersForDecay', async () => {
+    const plugin = await setup(
+      { decayPerHour: 5, minPlayersForDecay: 2 },
+      { progress: 50 },
+      3 * HOUR
+    );
+    context.server.players = [createPlayer(0)];
+
+    await plugin.decayWhitelistProgress();
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 50);
+  });
+
+  it('never decays below zero', async () => {
+    const plugin = await setup({ decayPerHour: 50 }, { progress: 20 }, 3 * HOUR);
+
+    await plugin.decayWhitelistProgress();
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 0);
+  });
+
+  it('removes the whitelist once progress decays below the threshold', async () => {
+    const plugin = await setup(
+      { decayPerHour: 5, threshold: 100 },
+      { progress: 102, whitelisted: true, whitelistedAt: new Date(NOW - DAY) },
+      3 * HOUR
+    );
+
+    await plugin.decayWhitelistProgress();
+    const record = await getProgress(plugin, STEAM_ID);
+    assert.equal(record.progress, 97);
+    assert.equal(record.whitelisted, 0);
+  });
+
+  it('takes decayPercentPerDay of current progress under the percentage model', async () => {
+    const plugin = await setup(
+      { decayModel: 'percentage', decayPercentPerDay: 10, decayIntervalSeconds: 24 * 60 * 60 },
+      { progress: 200 },
+      3 * HOUR
+    );
+
+    await plugin.decayWhitelistProgress();
+    assert.ok(Math.abs((await getProgress(plugin, STEAM_ID)).progress - 180) < 1e-9);
+  });
+
+  it('takes decayStepAmount once per full inactive day under the stepped model', async () => {
+    const plugin = await setup(
+      { decayModel: 'stepped', decayStepAmount: 10 },
+      { progress: 50 },
+      2 * HOUR + DAY - 30 * 60 * 1000
+    );
+
+    await plugin.decayWhitelistProgress();
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 50, 'the first day is not over');
+
+    await advance(plugin, HOUR);
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 40);
+
+    await advance(plugin, HOUR);
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 40, 'one step per day');
+  });
+
+  it('charges stepped decay for days that passed while decay was not running', async () => {
+    const plugin = await setup(
+      { decayModel: 'stepped', decayStepAmount: 10, minPlayersForDecay: 1 },
+      { progress: 50 },
+      2 * HOUR + DAY - 30 * 60 * 1000
+    );
+    context.server.players = [createPlayer(0)];
+
+    await advance(plugin, HOUR);
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 40);
+
+    context.server.players = [];
+    await advanceHours(plugin, 24);
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 40, 'the server is empty');
+
+    context.server.players = [createPlayer(0)];
+    await advanceHours(plugin, 24);
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 20, 'both missed days');
+  });
+
+  it('does not charge stepped decay for paused days', async () => {
+    const plugin = await setup(
+      { decayModel: 'stepped', decayStepAmount: 10 },
+      { progress: 50, decayPausedUntil: new Date(NOW + 2 * DAY) },
+      2 * HOUR + DAY - 30 * 60 * 1000
+    );
+
+    await advanceHours(plugin, 48);
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 50);
+
+    await advanceHours(plugin, 24);
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 40, 'one day after the pause');
+  });
+
+  it('stops long-standing whitelisted players at decayFloor', async () => {
+    const plugin = await setup(
+      { decayPerHour: 50, threshold: 100, decayFloor: 90, removalMargin: 20 },
+      { progress: 120, whitelisted: true, whitelistedAt: new Date(NOW - 30 * DAY) },
+      3 * HOUR
+    );
+
+    await plugin.decayWhitelistProgress();
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 90);
+  });
+
+  it('floors percentage decay only for players decayFloor protects', async () => {
+    const plugin = await setup(
+      {
+        decayModel: 'percentage',
+        decayPercentPerDay: 50,
+        decayIntervalSeconds: 24 * 60 * 60,
+        threshold: 100,
+        decayFloor: 90,
+        decayFloorMinWhitelistedDays: 7,
+        removalMargin: 20
+      },
+      { progress: 120, whitelisted: true, whitelistedAt: new Date(NOW - 30 * DAY) },
+      3 * HOUR
+    );
+    const newcomer = '76561198000009998';
+    await plugin.WhitelistProgressModel.create({
+      steamID: newcomer,
+      progress: 120,
+      whitelisted: true,
+      whitelistedAt: new Date(NOW - DAY),
+      lastProgressed: new Date(NOW - 3 * HOUR)
+    });
+
+    await plugin.decayWhitelistProgress();
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 90);
+    assert.equal((await getProgress(plugin, newcomer)).progress, 60);
+  });
+
+  it('keeps progress credited after the decay read it', async () => {
+    const plugin = await setup({ decayPerHour: 5 }, { progress: 50 }, 3 * HOUR);
+    const findAll = plugin.WhitelistProgressModel.findAll.bind(plugin.WhitelistProgressModel);
+    plugin.WhitelistProgressModel.findAll = async (options) => {
+      const records = await findAll(options);
+      if (!options.lock) return records;
+      plugin.WhitelistProgressModel.findAll = findAll;
+      await plugin.WhitelistProgressModel.increment(
+        { progress: 10 },
+        { where: { steamID: STEAM_ID }, transaction: options.transaction }
+      );
+      return records;
+    };
+
+    await plugin.decayWhitelistProgress();
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 55);
+  });
+
+  it('skips players who paused their decay', async () => {
+    const plugin = await setup(
+      { decayPerHour: 5 },
+      { progress: 50, decayPausedUntil: new Date(NOW + DAY) },
+      3 * HOUR
+    );
+
+    await plugin.decayWhitelistProgress();
+    assert.equal((await getProgress(plugin, STEAM_ID)).progress, 50);
+  });
+});
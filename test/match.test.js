@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import {
+  createPlayer,
+  createSquad,
+  getProgress,
+  MANUAL_TIMERS,
+  mountPlugin
+} from './support/harness.js';
+
+const MINUTE = 60 * 1000;
+
+describe('match results', () => {
+  let context;
+  let players;
+  let leader;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+    players = createSquad(1, 4);
+    leader = players[0];
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Mounts the plugin at 60 progress per hour, so a minute of leading earns 1 progress.
+   */
+  async function setup(options) {
+    context = await mountPlugin(
+      { ...MANUAL_TIMERS, progressPerHour: 60, matchMinLeadMinutes: 10, ...options },
+      { players }
+    );
+    return context.plugin;
+  }
+
+  /**
+   * Runs a progress tick with `current` as the online players, then one every minute for
+   * `minutes` minutes.
+   */
+  async function lead(plugin, current, minutes) {
+    context.server.players = current;
+    await plugin.onPlayerInformationUpdate(current);
+    for (let minute = 0; minute < minutes; minute++) {
+      mock.timers.tick(MINUTE);
+      await plugin.onPlayerInformationUpdate(current);
+    }
+  }
+
+  /**
+   * Returns the match_bonus and match_penalty ledger deltas recorded for the leader.
+   */
+  async function matchEvents(plugin) {
+    const events = await plugin.WhitelistProgressEventModel.findAll({
+      where: { steamID: leader.steamID, reason: ['match_bonus', 'match_penalty'] },
+      raw: true
+    });
+    return events.map((event) => [event.reason, event.delta]);
+  }
+
+  /**
+   * Returns the match summary sent to the leader, if any.
+   */
+  function summary() {
+    const warn = context.server.warns.find(
+      ([steamID, message]) => steamID === leader.steamID && message.includes('Match summary')
+    );
+    return warn ? warn[1] : null;
+  }
+
+  it('gives the completion bonus to leaders who lead to the end', async () => {
+    const plugin = await setup({ matchCompletionBonus: 5 });
+    await lead(plugin, players, 10);
+
+    await plugin.onEndGame();
+
+    assert.equal((await getProgress(plugin, leader.steamID)).progress, 15);
+    assert.deepEqual(await matchEvents(plugin), [['match_bonus', 5]]);
+    assert.match(summary(), /^Match summary: led for 10m, earned 10\.0 progress$/m);
+    assert.match(summary(), /^Completion bonus: \+5\.0$/m);
+  });
+
+  it('needs matchMinLeadMinutes of leading for the bonus', async () => {
+    const plugin = await setup({ matchCompletionBonus: 5 });
+    await lead(plugin, players, 9);
+
+    await plugin.onEndGame();
+
+    assert.equal((await getProgress(plugin, leader.steamID)).progress, 9);
+    assert.deepEqual(await matchEvents(plugin), []);
+  });
+
+  it('takes matchEarlyExitPenalty from leaders who disband their squad', async () => {
+    const plugin = await setup({ matchCompletionBonus: 5, matchEarlyExitPenalty: 0.5 });
+    await lead(plugin, players, 10);
+    await lead(
+      plugin,
+      players.map((player, index) => createPlayer(index + 1)),
+      0
+    );
+
+    await plugin.onEndGame();
+
+    assert.equal((await getProgress(plugin, leader.steamID)).progress, 5);
+    assert.deepEqual(await matchEvents(plugin), [['match_penalty', -5]]);
+    assert.match(summary(), /^Squad disbanded early: -5\.0$/m);
+  });
+
+  it('takes matchEarlyExitPenalty from leaders who hand off the lead', async () => {
+    const plugin = await setup({ matchEarlyExitPenalty: 0.5 });
+    await lead(plugin, players, 10);
+    await lead(
+      plugin,
+      players.map((player, index) => ({ ...player, isLeader: index === 1 })),
+      0
+    );
+
+    await plugin.onEndGame();
+
+    assert.equal((await getProgress(plugin, leader.steamID)).progress, 5);
+    assert.match(summary(), /^Squad lead handed off early: -5\.0$/m);
+  });
+
+  it('does not penalise leaders who leave the server', async () => {
+    const plugin = await setup({ matchEarlyExitPenalty: 0.5 });
+    await lead(plugin, players, 10);
+    await lead(plugin, players.slice(1), 0);
+
+    await plugin.onEndGame();
+
+    assert.equal((await getProgress(plugin, leader.steamID)).progress, 10);
+    assert.deepEqual(await matchEvents(plugin), []);
+  });
+
+  it('discards the match on NEW_GAME when END_GAME was missed', async () => {
+    const plugin = await setup({ matchCompletionBonus: 5 });
+    await lead(plugin, players, 10);
+
+    await plugin.onNewGame();
+    await plugin.onEndGame();
+
+    assert.equal((await getProgress(plugin, leader.steamID)).progress, 10);
+    assert.equal(summary(), null);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { createPlayer, MANUAL_TIMERS, mountPlugin } from './support/harness.js';
+
+describe('messages', () => {
+  let context;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Mounts the plugin with German as the default language and one online player.
+   */
+  async function setup(messages) {
+    const player = createPlayer(0);
+    context = await mountPlugin(
+      { ...MANUAL_TIMERS, defaultLanguage: 'de', messages },
+      { players: [player] }
+    );
+    return { plugin: context.plugin, player };
+  }
+
+  it('uses defaultLanguage, then the built-in text, for players who have not chosen', async () => {
+    const { plugin, player } = await setup({ de: { whitelisted: 'Du bist auf der Whitelist!' } });
+
+    assert.equal(plugin.formatMessage(player.steamID, 'whitelisted'), 'Du bist auf der Whitelist!');
+    assert.equal(plugin.formatMessage(player.steamID, 'tier', { tier: 'Gold' }), 'Tier: Gold');
+  });
+
+  it('uses the built-in English text for players who choose en', async () => {
+    const { plugin, player } = await setup({ de: { whitelisted: 'Du bist auf der Whitelist!' } });
+
+    await plugin.onChatCommand({ player, message: 'lang en' });
+
+    assert.match(context.server.warns.at(-1)[1], /Language set to en\./);
+    assert.equal(plugin.formatMessage(player.steamID, 'whitelisted'), 'You are on the whitelist!');
+  });
+
+  it('uses messages.en for players who choose en when it is set', async () => {
+    const { plugin, player } = await setup({
+      en: { whitelisted: 'Whitelisted!' },
+      de: { whitelisted: 'Du bist auf der Whitelist!' }
+    });
+
+    await plugin.onChatCommand({ player, message: 'lang en' });
+
+    assert.equal(plugin.formatMessage(player.steamID, 'whitelisted'), 'Whitelisted!');
+    assert.equal(plugin.formatMessage(player.steamID, 'tier', { tier: 'Gold' }), 'Tier: Gold');
+  });
+
+  it('keeps the case of language codes and matches them case-insensitively', async () => {
+    const { plugin, player } = await setup({ 'pt-BR': { whitelisted: 'Você está na whitelist!' } });
+
+    await plugin.onChatCommand({ player, message: 'LANG pt-BR' });
+    assert.match(context.server.warns.at(-1)[1], /Language set to pt-BR\./);
+    assert.equal(plugin.formatMessage(player.steamID, 'whitelisted'), 'Você está na whitelist!');
+
+    await plugin.onChatCommand({ player, message: 'lang PT-br' });
+    assert.match(context.server.warns.at(-1)[1], /Language set to pt-BR\./);
+  });
+
+  it('fills in placeholders and leaves unknown ones alone', async () => {
+    const { plugin, player } = await setup({
+      de: { progress: '{percentage}% von {threshold} {x}' }
+    });
+
+    assert.equal(
+      plugin.formatMessage(player.steamID, 'progress', { percentage: 50 }),
+      '50% von 100 {x}'
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { MANUAL_TIMERS, mountPlugin } from './support/harness.js';
+
+const LEGACY_COLUMNS =
+  '"steamID" VARCHAR(255) NOT NULL, "progress" DOUBLE NOT NULL DEFAULT 0, ' +
+  '"lastProgressed" DATETIME, "createdAt" DATETIME NOT NULL, "updatedAt" DATETIME NOT NULL';
+
+/**
+ * Creates the tables as a version 2 migration that stopped part way leaves them: the schema
+ * version is still 1 and the old rows are in `WhitelistProgresses_v1`.
+ * @param {string[]} [copiedSteamIDs] - Rows already copied into a rebuilt progress table.
+ *   Without it, the rebuilt table was never created.
+ */
+function interruptedRebuild(copiedSteamIDs) {
+  return async (sequelize) => {
+    await sequelize.query(
+      'CREATE TABLE "WhitelistSchemaVersions" ("id" INTEGER PRIMARY KEY, ' +
+        '"version" INTEGER NOT NULL, "createdAt" DATETIME NOT NULL, "updatedAt" DATETIME NOT NULL)'
+    );
+    await sequelize.query(
+      "INSERT INTO \"WhitelistSchemaVersions\" VALUES (1, 1, '2025-01-01', '2025-01-01')"
+    );
+    await sequelize.query(
+      `CREATE TABLE "WhitelistProgresses_v1" (${LEGACY_COLUMNS}, PRIMARY KEY ("steamID"))`
+    );
+    await sequelize.query(
+      'INSERT INTO "WhitelistProgresses_v1" VALUES ' +
+        "('1', 150, '2025-01-01', '2025-01-01', '2025-01-01'), " +
+        "('2', 40, '2025-01-01', '2025-01-01', '2025-01-01')"
+    );
+    if (!copiedSteamIDs) return;
+    await sequelize.query(
+      `CREATE TABLE "WhitelistProgresses" (${LEGACY_COLUMNS}, ` +
+        '"serverID" VARCHAR(255) NOT NULL, PRIMARY KEY ("steamID", "serverID"))'
+    );
+    for (const steamID of copiedSteamIDs) {
+      await sequelize.query(
+        'INSERT INTO "WhitelistProgresses" SELECT *, \'1\' FROM "WhitelistProgresses_v1" ' +
+          'WHERE "steamID" = :steamID',
+        { replacements: { steamID } }
+      );
+    }
+  };
+}
+
+describe('migrations', () => {
+  let context;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Returns the SteamID, server and progress of every progress row, and whether the legacy
+   * table is still there.
+   */
+  async function describeProgress() {
+    const { plugin } = context;
+    const rows = await plugin.WhitelistProgressModel.findAll({
+      attributes: ['steamID', 'serverID', 'progress'],
+      order: [['steamID', 'ASC']],
+      raw: true
+    });
+    return {
+      rows: rows.map((row) => [row.steamID, row.serverID, row.progress]),
+      legacyTable: await plugin.tableExists('WhitelistProgresses_v1')
+    };
+  }
+
+  it('finishes a progress table rebuild that stopped after the rename', async () => {
+    context = await mountPlugin(
+      { ...MANUAL_TIMERS, whitelistScope: 'server' },
+      { seed: interruptedRebuild() }
+    );
+
+    assert.deepEqual(await describeProgress(), {
+      rows: [
+        ['1', '1', 150],
+        ['2', '1', 40]
+      ],
+      legacyTable: false
+    });
+  });
+
+  it('copies only the rows a stopped rebuild had not copied yet', async () => {
+    context = await mountPlugin(
+      { ...MANUAL_TIMERS, whitelistScope: 'server' },
+      { seed: interruptedRebuild(['1']) }
+    );
+
+    assert.deepEqual(await describeProgress(), {
+      rows: [
+        ['1', '1', 150],
+        ['2', '1', 40]
+      ],
+      legacyTable: false
+    });
+    assert.equal((await context.plugin.WhitelistSchemaVersionModel.findByPk(1)).version, 8);
+  });
+});
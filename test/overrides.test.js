@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import {
+  advance,
+  createSquad,
+  getProgress,
+  MANUAL_TIMERS,
+  mountPlugin
+} from './support/harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 5);
+// Setting an override schedules a whitelist regeneration this long afterwards.
+const REGENERATION_DELAY = 15 * 1000;
+
+describe('overrides', () => {
+  let context;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: NOW });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Returns the whitelist_gained and whitelist_lost ledger reasons recorded for a player.
+   */
+  async function membershipEvents(plugin, steamID) {
+    const events = await plugin.WhitelistProgressEventModel.findAll({
+      where: { steamID, reason: ['whitelist_gained', 'whitelist_lost'] },
+      order: [['id', 'ASC']],
+      raw: true
+    });
+    return events.map((event) => event.reason);
+  }
+
+  it('keeps never players off the whitelist when they reach the threshold', async () => {
+    context = await mountPlugin({
+      ...MANUAL_TIMERS,
+      broadcastNewWhitelisted: true,
+      broadcastNewWhitelistedMinPlayers: 0
+    });
+    const { plugin } = context;
+    await plugin.setOverride('1', 'never');
+    await plugin.WhitelistProgressModel.create({ steamID: '1', progress: 150 });
+
+    await plugin.generateWhitelistFile();
+
+    assert.equal((await getProgress(plugin, '1')).whitelisted, 0);
+    assert.deepEqual(await membershipEvents(plugin, '1'), []);
+    assert.equal(plugin.pendingAnnouncements.size, 0, 'nobody is congratulated');
+    assert.doesNotMatch(await context.readWhitelist(), /Admin=1:/);
+  });
+
+  it('removes the whitelist from players given a never override', async () => {
+    context = await mountPlugin(MANUAL_TIMERS);
+    const { plugin } = context;
+    await plugin.WhitelistProgressModel.create({ steamID: '1', progress: 150 });
+    await plugin.generateWhitelistFile();
+    assert.equal((await getProgress(plugin, '1')).whitelisted, 1);
+
+    await plugin.setOverride('1', 'never');
+    await advance(plugin, REGENERATION_DELAY);
+
+    assert.equal((await getProgress(plugin, '1')).whitelisted, 0);
+    assert.deepEqual(await membershipEvents(plugin, '1'), ['whitelist_gained', 'whitelist_lost']);
+    assert.doesNotMatch(await context.readWhitelist(), /Admin=1:/);
+  });
+
+  it('keeps always players whitelisted when their progress decays', async () => {
+    context = await mountPlugin({
+      ...MANUAL_TIMERS,
+      decayIntervalSeconds: 60 * 60,
+      decayPerHour: 20,
+      minPlayersForDecay: 0
+    });
+    const { plugin } = context;
+    await plugin.WhitelistProgressModel.create({
+      steamID: '1',
+      progress: 110,
+      lastProgressed: new Date(NOW - 3 * HOUR)
+    });
+    await plugin.generateWhitelistFile();
+    await plugin.setOverride('1', 'always');
+
+    await plugin.decayWhitelistProgress();
+    await advance(plugin, REGENERATION_DELAY);
+
+    const record = await getProgress(plugin, '1');
+    assert.equal(record.progress, 90);
+    assert.equal(record.whitelisted, 1);
+    assert.equal(record.belowThresholdSince, null);
+    assert.deepEqual(await membershipEvents(plugin, '1'), ['whitelist_gained']);
+    assert.match(await context.readWhitelist(), /^Admin=1:sl_whitelist$/m);
+  });
+
+  it('lists always players without progress in the whitelist file', async () => {
+    context = await mountPlugin(MANUAL_TIMERS);
+    await context.plugin.setOverride('1', 'always');
+    await advance(context.plugin, REGENERATION_DELAY);
+
+    assert.match(await context.readWhitelist(), /^Admin=1:sl_whitelist$/m);
+  });
+
+  it('stops never and frozen leaders from earning progress', async () => {
+    const never = createSquad(0, 4);
+    const frozen = createSquad(10, 4);
+    const players = [...never, ...frozen];
+    context = await mountPlugin({ ...MANUAL_TIMERS, progressPerHour: 60 }, { players });
+    const { plugin } = context;
+    await plugin.setOverride(never[0].steamID, 'never');
+    await plugin.setOverride(frozen[0].steamID, 'frozen');
+
+    await plugin.onPlayerInformationUpdate(players);
+    mock.timers.tick(60 * 1000);
+    await plugin.onPlayerInformationUpdate(players);
+
+    assert.equal(await plugin.WhitelistProgressModel.count(), 0);
+  });
+
+  it('skips never and frozen players in an import and reports them', async () => {
+    context = await mountPlugin(MANUAL_TIMERS);
+    const { plugin } = context;
+    const [frozen, never, regular] = [
+      '76561198000000001',
+      '76561198000000002',
+      '76561198000000003'
+    ];
+    await plugin.WhitelistProgressModel.bulkCreate(
+      [frozen, never, regular].map((steamID) => ({ steamID, progress: 50 }))
+    );
+    await plugin.setOverride(frozen, 'frozen');
+    await plugin.setOverride(never, 'never');
+    const filePath = path.join(context.directory, 'import.csv');
+    await fs.writeFile(filePath, `steamID,progress\n${frozen},200\n${never},200\n${regular},200\n`);
+
+    const report = await plugin.importProgress(filePath, 'overwrite');
+
+    assert.deepEqual(report.skipped, [frozen, never]);
+    assert.equal(report.updated, 1);
+    assert.match(plugin.formatImportReport(report), /^2 skipped for a never or frozen override/m);
+    assert.equal((await getProgress(plugin, frozen)).progress, 50);
+    assert.equal((await getProgress(plugin, never)).progress, 50);
+    assert.equal((await getProgress(plugin, regular)).progress, 200);
+  });
+
+  it('ignores expired overrides', async () => {
+    context = await mountPlugin(MANUAL_TIMERS);
+    const { plugin } = context;
+    await plugin.setOverride('1', 'never', { expiresAt: new Date(NOW + HOUR) });
+    await plugin.WhitelistProgressModel.create({ steamID: '1', progress: 150 });
+
+    mock.timers.tick(2 * HOUR);
+    await plugin.generateWhitelistFile();
+
+    assert.equal((await getProgress(plugin, '1')).whitelisted, 1);
+    assert.match(await context.readWhitelist(), /^Admin=1:sl_whitelist$/m);
+  });
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { createPlayer, MANUAL_TIMERS, mountPlugin } from './support/harness.js';
+
+describe('player identities', () => {
+  let context;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Returns the names of the known players whose name contains `query`.
+   */
+  async function search(query) {
+    const matches = await context.plugin.searchPlayersByName(query, 25);
+    return matches.map((identity) => identity.name).sort();
+  }
+
+  it('records names, name changes and EOS IDs of online players', async () => {
+    const player = createPlayer(0);
+    context = await mountPlugin(MANUAL_TIMERS, { players: [player] });
+    const { plugin } = context;
+
+    await plugin.onPlayerInformationUpdate([player]);
+    await plugin.onPlayerInformationUpdate([{ ...player, name: 'Renamed' }]);
+
+    const identity = await plugin.WhitelistPlayerModel.findByPk(player.steamID, { raw: true });
+    assert.equal(identity.name, 'Renamed');
+    assert.equal(identity.eosID, player.eosID);
+    assert.deepEqual(await search('player0'), ['Renamed'], 'former names are searched too');
+  });
+
+  it('matches % and _ in a name search literally', async () => {
+    context = await mountPlugin(MANUAL_TIMERS);
+    await context.plugin.WhitelistPlayerModel.bulkCreate(
+      ['100%', '1000', 'A_B', 'AxB', 'Wow!'].map((name, index) => ({
+        steamID: String(index),
+        name
+      }))
+    );
+
+    assert.deepEqual(await search('100%'), ['100%']);
+    assert.deepEqual(await search('a_b'), ['A_B']);
+    assert.deepEqual(await search('!'), ['Wow!']);
+    assert.deepEqual(await search("o'"), []);
+  });
+});
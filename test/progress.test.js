@@ -0,0 +1,174 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import {
+  advance,
+  createPlayer,
+  createSquad,
+  getProgress,
+  MANUAL_TIMERS,
+  mountPlugin
+} from './support/harness.js';
+
+const MINUTE = 60 * 1000;
+
+describe('progress tracking', () => {
+  let context;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  it('credits leaders of full, open squads for the time they lead', async () => {
+    const players = createSquad(0, 4);
+    context = await mountPlugin({ ...MANUAL_TIMERS, progressPerHour: 60 }, { players });
+    const { plugin } = context;
+
+    await plugin.onPlayerInformationUpdate(players);
+    assert.equal(
+      await getProgress(plugin, players[0].steamID),
+      null,
+      'first sight starts a session'
+    );
+
+    mock.timers.tick(MINUTE);
+    await plugin.onPlayerInformationUpdate(players);
+    const record = await getProgress(plugin, players[0].steamID);
+    assert.equal(record.progress, 1);
+    assert.equal(await getProgress(plugin, players[1].steamID), null, 'members earn nothing');
+  });
+
+  it('does not credit small or locked squads', async () => {
+    const small = createSquad(0, 3);
+    const locked = createSquad(10, 4, { locked: true });
+    const players = [...small, ...locked];
+    context = await mountPlugin({ ...MANUAL_TIMERS, progressPerHour: 60 }, { players });
+    const { plugin } = context;
+
+    await plugin.onPlayerInformationUpdate(players);
+    mock.timers.tick(MINUTE);
+    await plugin.onPlayerInformationUpdate(players);
+
+    assert.equal(await getProgress(plugin, small[0].steamID), null);
+    assert.equal(await getProgress(plugin, locked[0].steamID), null);
+  });
+
+  it('stops crediting after a gap longer than maxCreditGapSeconds', async () => {
+    const players = createSquad(0, 4);
+    context = await mountPlugin(
+      { ...MANUAL_TIMERS, progressPerHour: 60, maxCreditGapSeconds: 90 },
+      { players }
+    );
+    const { plugin } = context;
+
+    await plugin.onPlayerInformationUpdate(players);
+    mock.timers.tick(10 * MINUTE);
+    await plugin.onPlayerInformationUpdate(players);
+
+    assert.equal(await getProgress(plugin, players[0].steamID), null);
+  });
+
+  it('credits nothing for the first tick of a new session after a reconnect', async () => {
+    const players = createSquad(0, 4);
+    context = await mountPlugin({ ...MANUAL_TIMERS, progressPerHour: 60 }, { players });
+    const { plugin } = context;
+
+    await plugin.onPlayerInformationUpdate(players);
+    mock.timers.tick(MINUTE);
+    await plugin.onPlayerInformationUpdate(players);
+    mock.timers.tick(MINUTE);
+    await plugin.onPlayerInformationUpdate(players.slice(1));
+    assert.equal((await getProgress(plugin, players[0].steamID)).progress, 1);
+
+    mock.timers.tick(MINUTE);
+    await plugin.onPlayerInformationUpdate(players);
+    assert.equal(
+      (await getProgress(plugin, players[0].steamID)).progress,
+      1,
+      'the minute before they were seen again is not credited'
+    );
+
+    mock.timers.tick(MINUTE);
+    await plugin.onPlayerInformationUpdate(players);
+    assert.equal((await getProgress(plugin, players[0].steamID)).progress, 2);
+  });
+
+  it('awards progress on the progress interval', async () => {
+    const players = createSquad(0, 4);
+    context = await mountPlugin({ progressPerHour: 120, progressIntervalSeconds: 30 }, { players });
+    const { plugin } = context;
+
+    await advance(plugin, 30 * 1000);
+    assert.ok(plugin.leadershipSessions.has(players[0].steamID));
+    await advance(plugin, 30 * 1000);
+
+    assert.equal((await getProgress(plugin, players[0].steamID)).progress, 1);
+  });
+
+  it('whitelists leaders who reach the threshold and ranks them', async () => {
+    const players = [...createSquad(0, 4), ...createSquad(10, 4)];
+    context = await mountPlugin(
+      { ...MANUAL_TIMERS, progressPerHour: 600, threshold: 100 },
+      { players }
+    );
+    const { plugin } = context;
+
+    await plugin.onPlayerInformationUpdate(players);
+    mock.timers.tick(MINUTE);
+    await plugin.onPlayerInformationUpdate(players.slice(0, 4));
+    for (let minute = 0; minute < 10; minute++) {
+      mock.timers.tick(MINUTE);
+      await plugin.onPlayerInformationUpdate(players);
+    }
+
+    const leader = await getProgress(plugin, players[0].steamID);
+    const other = await getProgress(plugin, players[4].steamID);
+    assert.equal(leader.whitelisted, 1);
+    assert.equal(other.whitelisted, 0);
+    assert.ok(leader.progress > other.progress);
+    assert.deepEqual(await plugin.getProgressRank(leader.progress), { rank: 1, total: 2 });
+    assert.deepEqual(await plugin.getProgressRank(other.progress), { rank: 2, total: 2 });
+  });
+
+  it('ignores players outside a squad', async () => {
+    const players = [createPlayer(0), createPlayer(1)];
+    context = await mountPlugin(MANUAL_TIMERS, { players });
+    const { plugin } = context;
+
+    await plugin.onPlayerInformationUpdate(players);
+    mock.timers.tick(MINUTE);
+    await plugin.onPlayerInformationUpdate(players);
+
+    assert.equal(await plugin.WhitelistProgressModel.count(), 0);
+  });
+
+  it('warns whitelisted players near removal only once removalWarningMargin is set', async () => {
+    const player = createPlayer(0);
+    const warned = async (options) => {
+      context = await mountPlugin(
+        { ...MANUAL_TIMERS, threshold: 100, ...options },
+        {
+          players: [player]
+        }
+      );
+      await context.plugin.WhitelistProgressModel.create({
+        steamID: player.steamID,
+        progress: 101,
+        whitelisted: true
+      });
+      await context.plugin.warnPlayersNearRemoval([player]);
+      const count = context.server.warns.length;
+      await context.cleanup();
+      context = null;
+      return count;
+    };
+
+    assert.equal(await warned({}), 0, 'off by default');
+    assert.equal(await warned({ removalWarningMargin: 5 }), 1);
+  });
+});
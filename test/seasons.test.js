@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { createPlayer, getProgress, MANUAL_TIMERS, mountPlugin } from './support/harness.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 5);
+
+describe('seasons', () => {
+  let context;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: NOW });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Mounts the plugin with 30-day seasons and stores progress rows, keyed by SteamID.
+   */
+  async function setup(progress, config) {
+    context = await mountPlugin(
+      { ...MANUAL_TIMERS, seasonLengthDays: 30, seasonCarryOverPercent: 25 },
+      config
+    );
+    await context.plugin.WhitelistProgressModel.bulkCreate(
+      Object.entries(progress).map(([steamID, value]) => ({ steamID, progress: value }))
+    );
+    return context.plugin;
+  }
+
+  it('starts season 1 on mount and only reads it for !slwl', async () => {
+    const player = createPlayer(0);
+    context = await mountPlugin(MANUAL_TIMERS, { players: [player] });
+    const { plugin } = context;
+    assert.equal(await plugin.WhitelistSeasonModel.count(), 1);
+    const current = await plugin.getCurrentSeason();
+    assert.equal(current.season, 1);
+    assert.equal(new Date(current.startedAt).getTime(), NOW);
+
+    const bulkCreate = mock.method(plugin.WhitelistSeasonModel, 'bulkCreate');
+    await plugin.onChatCommand({ player, message: '' });
+    assert.equal(bulkCreate.mock.callCount(), 0);
+  });
+
+  it('ends the season once seasonLengthDays have passed', async () => {
+    const plugin = await setup({ 1: 200, 2: 80 });
+
+    mock.timers.setTime(NOW + 30 * DAY - 1);
+    await plugin.checkSeasonEnd();
+    assert.equal((await plugin.getCurrentSeason()).season, 1);
+
+    mock.timers.setTime(NOW + 30 * DAY);
+    await plugin.checkSeasonEnd();
+    const current = await plugin.getCurrentSeason();
+    assert.equal(current.season, 2);
+    assert.equal(new Date(current.startedAt).getTime(), NOW + 30 * DAY);
+    assert.equal((await getProgress(plugin, '1')).progress, 50);
+    assert.equal((await getProgress(plugin, '2')).progress, 20);
+  });
+
+  it('archives ranks, shares them between tied players and records the reset', async () => {
+    const plugin = await setup({ 1: 200, 2: 80, 3: 80, 4: 40 });
+
+    await plugin.endSeason(1, { carryOverPercent: 50, author: 'admin' });
+
+    const results = await plugin.WhitelistSeasonResultModel.findAll({
+      order: [['steamID', 'ASC']],
+      raw: true
+    });
+    assert.deepEqual(
+      results.map((result) => [result.steamID, result.rank, result.total]),
+      [
+        ['1', 1, 4],
+        ['2', 2, 4],
+        ['3', 2, 4],
+        ['4', 4, 4]
+      ]
+    );
+    const events = await plugin.WhitelistProgressEventModel.findAll({
+      where: { steamID: '1', reason: 'season_reset' },
+      raw: true
+    });
+    assert.equal(events.length, 1);
+    assert.equal(events[0].delta, -100);
+    assert.equal(events[0].author, 'admin');
+  });
+
+  it('leaves players with a frozen or never override out of the reset', async () => {
+    const plugin = await setup({ 1: 200, 2: 200, 3: 200 });
+    await plugin.setOverride('1', 'frozen');
+    await plugin.setOverride('2', 'never');
+
+    await plugin.endSeason(1, { carryOverPercent: 50 });
+
+    assert.equal((await getProgress(plugin, '1')).progress, 200);
+    assert.equal((await getProgress(plugin, '2')).progress, 200);
+    assert.equal((await getProgress(plugin, '3')).progress, 100);
+    assert.equal(await plugin.WhitelistSeasonResultModel.count(), 3, 'everyone is archived');
+    assert.equal(
+      await plugin.WhitelistProgressEventModel.count({ where: { reason: 'season_reset' } }),
+      1
+    );
+  });
+
+  it('ends each season only once', async () => {
+    const plugin = await setup({ 1: 200 });
+
+    assert.deepEqual(await plugin.endSeason(1, { carryOverPercent: 50 }), {
+      season: 1,
+      players: 1
+    });
+    assert.equal(await plugin.endSeason(1, { carryOverPercent: 50 }), null);
+    assert.equal((await getProgress(plugin, '1')).progress, 100);
+  });
+
+  it('tells online players their final rank and shows it in !slwl', async () => {
+    const player = createPlayer(0);
+    const plugin = await setup({ [player.steamID]: 200, 2: 300 }, { players: [player] });
+
+    await plugin.endSeason(1, { carryOverPercent: 25 });
+
+    assert.equal(context.server.warns.length, 1);
+    assert.equal(context.server.warns[0][0], player.steamID);
+    assert.match(context.server.warns[0][1], /Season 1 has ended! You finished rank 2 of 2\./);
+    assert.deepEqual(await plugin.describeSeasons(player.steamID), [
+      'Season 2 (ends in 30d)',
+      'Season 1: rank 2 of 2, 200%'
+    ]);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * A stand-in for SquadJS's `squad-server/plugins/base-plugin.js`, so the plugin can be loaded
+ * outside SquadJS. It resolves options against `optionsSpecification` the same way SquadJS
+ * does: missing options take their default and connector options are replaced by the
+ * connector of that name.
+ */
+export default class BasePlugin {
+  constructor(server, options, connectors) {
+    this.server = server;
+    this.options = {};
+    this.rawOptions = options;
+
+    for (const [optionName, option] of Object.entries(this.constructor.optionsSpecification)) {
+      if (optionName in options) {
+        this.options[optionName] = options[optionName];
+      } else if (option.required) {
+        throw new Error(`${this.constructor.name}: ${optionName} is required but missing.`);
+      } else {
+        this.options[optionName] = option.default;
+      }
+
+      if (option.connector) {
+        this.options[optionName] = connectors[this.options[optionName]];
+      }
+    }
+  }
+
+  async prepareToMount() {}
+
+  async mount() {}
+
+  async unmount() {}
+
+  verbose() {}
+}
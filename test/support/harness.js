@@ -0,0 +1,246 @@
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { mock } from 'node:test';
+import Sequelize from 'sequelize';
+import SquadLeaderWhitelist from '../../squad-leader-whitelist.js';
+
+// Kept before any test installs fake timers, so `waitFor` can still wait in real time.
+const realSetTimeout = setTimeout;
+
+// Plugin methods run by its intervals and timeouts, which `advance` waits for.
+const TIMER_METHODS = [
+  'onPlayerInformationUpdate',
+  'decayWhitelistProgress',
+  'generateWhitelistFile',
+  'pruneProgressHistory',
+  'checkSeasonEnd',
+  'sendProgressSummaries'
+];
+
+/**
+ * Options that push the progress, decay and whitelist intervals a day apart, for tests that
+ * call `onPlayerInformationUpdate`, `decayWhitelistProgress` or `generateWhitelistFile`
+ * directly while moving the fake clock. An in-memory SQLite database is a single connection,
+ * so a transaction started by an interval would otherwise collide with the one under test.
+ */
+export const MANUAL_TIMERS = {
+  progressIntervalSeconds: 24 * 60 * 60,
+  decayIntervalSeconds: 24 * 60 * 60,
+  whitelistUpdateMinutes: 24 * 60
+};
+
+/**
+ * Builds a fake SquadJS server with only what the plugin uses. Everything the plugin sends
+ * over RCON is recorded instead: `warns` as [steamID, message] pairs, `broadcasts` as
+ * messages and `executed` as commands.
+ * @param {object} [config]
+ * @param {object[]} [config.players] - The online player list.
+ * @param {string} [config.directory] - The SquadJS directory, used for relative paths.
+ * @param {object} [config.layer] - The current layer, e.g. { name: 'Narva Seed v1' }.
+ * @param {string[]} [config.admins] - SteamIDs returned by getAdminsWithPermission.
+ * @returns {EventEmitter}
+ */
+export function createServer({ players = [], directory = '', layer = null, admins = [] } = {}) {
+  const server = new EventEmitter();
+  server.id = 1;
+  server.players = players;
+  server.currentLayer = layer;
+  server.squadJS = { options: { path: directory } };
+  server.warns = [];
+  server.broadcasts = [];
+  server.executed = [];
+  server.rcon = {
+    warn: async (steamID, message) => server.warns.push([steamID, message]),
+    broadcast: async (message) => server.broadcasts.push(message),
+    execute: async (command) => server.executed.push(command)
+  };
+  server.updateAdmins = async () => {};
+  server.getAdminsWithPermission = () => admins;
+  return server;
+}
+
+/**
+ * Builds a player the way SquadJS reports them in `server.players`.
+ * @param {number} index - Distinguishes players; used for the SteamID, EOS ID and name.
+ * @param {object} [squad]
+ * @param {?number} [squad.squadID] - The player's squad, or null if they are not in one.
+ * @param {number} [squad.teamID]
+ * @param {boolean} [squad.isLeader]
+ * @param {boolean} [squad.locked] - Whether the squad is locked.
+ * @returns {object}
+ */
+export function createPlayer(
+  index,
+  { squadID = null, teamID = 1, isLeader = false, locked = false } = {}
+) {
+  const id = String(index).padStart(4, '0');
+  return {
+    steamID: `7656119800000${id}`,
+    eosID: `0002${id.padStart(28, '0')}`,
+    name: `Player${index}`,
+    teamID,
+    squadID,
+    isLeader,
+    squad:
+      squadID === null
+        ? null
+        : { squadID, teamID, squadName: `Squad ${squadID}`, locked: String(locked) }
+  };
+}
+
+/**
+ * Builds a squad of `size` players led by the first one.
+ * @param {number} firstIndex - The index of the leader; members follow on.
+ * @param {number} size - The number of players in the squad, leader included.
+ * @param {object} [squad] - Passed to `createPlayer`; `squadID` defaults to `firstIndex`.
+ * @returns {object[]}
+ */
+export function createSquad(firstIndex, size, squad = {}) {
+  return Array.from({ length: size }, (value, offset) =>
+    createPlayer(firstIndex + offset, {
+      squadID: firstIndex,
+      ...squad,
+      isLeader: offset === 0
+    })
+  );
+}
+
+/**
+ * Creates and mounts the plugin against an in-memory SQLite database and a fake server, with
+ * the whitelist file written to a fresh temporary directory. Call `cleanup()` at the end of
+ * each test, so no timers are left running and the directory is removed.
+ * @param {object} [options] - Plugin options; `database` is always the in-memory connector.
+ * @param {object} [config] - Passed to `createServer`.
+ * @param {Function} [config.seed] - Called with the database before the plugin mounts, e.g. to
+ *   create tables the way an older version left them.
+ * @returns {Promise<object>} { plugin, server, sequelize, directory, readWhitelist, cleanup }
+ */
+export async function mountPlugin(options = {}, config = {}) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'slwl-test-'));
+  const server = createServer({ ...config, directory });
+  const sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+  if (config.seed) await config.seed(sequelize);
+  const plugin = new SquadLeaderWhitelist(
+    server,
+    { ...options, database: 'sqlite' },
+    { sqlite: sequelize }
+  );
+  await plugin.prepareToMount();
+  await plugin.mount();
+  if (!plugin.progressInterval) {
+    // mount() logs its own errors and carries on, so a failure would otherwise go unnoticed.
+    throw new Error('The plugin failed to mount. Run with debugLogs: true to see why.');
+  }
+
+  return {
+    plugin,
+    server,
+    sequelize,
+    directory,
+    /**
+     * Reads the generated whitelist file.
+     * @returns {Promise<string>}
+     */
+    readWhitelist: () =>
+      fs.readFile(path.join(directory, plugin.options.managedWhitelistPath), 'utf8'),
+    /**
+     * Unmounts the plugin, closes the database and removes the temporary directory.
+     */
+    cleanup: async () => {
+      await plugin.unmount();
+      await sequelize.close();
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Reads a player's progress row.
+ * @param {object} plugin - A mounted plugin.
+ * @param {string} steamID
+ * @returns {Promise<?object>}
+ */
+export function getProgress(plugin, steamID) {
+  return plugin.WhitelistProgressModel.findOne({ where: { steamID }, raw: true });
+}
+
+/**
+ * Moves the fake clock forward and waits for everything the plugin's timers started meanwhile.
+ * The fake clock runs timer callbacks but does not wait for the promises they return, so the
+ * methods they call are spied on and awaited until no new calls appear.
+ * @param {object} plugin - A mounted plugin.
+ * @param {number} milliseconds - How far to move the clock.
+ */
+export async function advance(plugin, milliseconds) {
+  const spies = TIMER_METHODS.map((name) => mock.method(plugin, name));
+  try {
+    mock.timers.tick(milliseconds);
+    let settled = 0;
+    for (;;) {
+      const results = spies.flatMap((spy) => spy.mock.calls.map((call) => call.result));
+      if (results.length === settled) break;
+      settled = results.length;
+      await Promise.all(results);
+    }
+  } finally {
+    for (const spy of spies) spy.mock.restore();
+  }
+}
+
+/**
+ * Waits in real time until `check` passes, for work the fake clock does not drive, such as
+ * HTTP requests.
+ * @param {function(): (boolean|Promise<boolean>)} check
+ * @param {number} [timeoutMilliseconds]
+ */
+export async function waitFor(check, timeoutMilliseconds = 5000) {
+  for (let waited = 0; waited < timeoutMilliseconds; waited += 10) {
+    if (await check()) return;
+    await new Promise((resolve) => realSetTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for the plugin.');
+}
+
+/**
+ * Starts a local HTTP server that records every request and answers with the status codes
+ * `respond` returns, for capturing webhooks.
+ * @param {function(object): number} [respond] - Called with each request; returns the status.
+ * @returns {Promise<object>} { url, requests, close }
+ */
+export async function startReceiver(respond = () => 204) {
+  const requests = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', async () => {
+      const request = { method: req.method, url: req.url, body: JSON.parse(body || 'null') };
+      requests.push(request);
+      res.writeHead(await respond(request));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${receiver.address().port}/hooks/secret-token`,
+    requests,
+    close: () => {
+      receiver.closeAllConnections();
+      return new Promise((resolve) => receiver.close(resolve));
+    }
+  };
+}
+
+/**
+ * Finds a free local port for the plugin's HTTP API.
+ * @returns {Promise<number>}
+ */
+export async function getFreePort() {
+  const probe = http.createServer();
+  await new Promise((resolve) => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
@@ -0,0 +1,15 @@
+// Module resolution hooks registered by `register.js`. The plugin imports `./base-plugin.js`
+// from the SquadJS plugins directory, which does not exist in this repository, so that one
+// import is pointed at the stand-in next to this file.
+const BASE_PLUGIN_URL = new URL('./base-plugin.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (
+    specifier === './base-plugin.js' &&
+    context.parentURL &&
+    context.parentURL.endsWith('/squad-leader-whitelist.js')
+  ) {
+    return { url: BASE_PLUGIN_URL, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
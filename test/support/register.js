@@ -0,0 +1,4 @@
+// Loaded with `node --import` before the tests. See `hooks.js`.
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { advance, MANUAL_TIMERS, mountPlugin, startReceiver, waitFor } from './support/harness.js';
+
+describe('webhooks', () => {
+  let context;
+  let receiver;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    if (receiver) await receiver.close();
+    context = null;
+    receiver = null;
+    mock.timers.reset();
+  });
+
+  it('sends whitelist_gained as a Discord embed', async () => {
+    receiver = await startReceiver();
+    context = await mountPlugin({ ...MANUAL_TIMERS, webhooks: [{ url: receiver.url }] });
+    const { plugin } = context;
+    await plugin.WhitelistPlayerModel.create({ steamID: '1', name: 'Slacker' });
+    await plugin.WhitelistProgressModel.create({ steamID: '1', progress: 150 });
+
+    await plugin.generateWhitelistFile();
+    await waitFor(() => receiver.requests.length === 1);
+
+    const [embed] = receiver.requests[0].body.embeds;
+    assert.equal(embed.title, 'Slacker joined the whitelist');
+    assert.equal(embed.description, 'SteamID: 1');
+  });
+
+  it('sends only the subscribed events in the json format', async () => {
+    receiver = await startReceiver();
+    context = await mountPlugin({
+      ...MANUAL_TIMERS,
+      webhooks: [{ url: receiver.url, format: 'json', events: ['whitelist_lost'] }]
+    });
+    const { plugin } = context;
+    await plugin.WhitelistProgressModel.create({ steamID: '1', progress: 150 });
+    await plugin.generateWhitelistFile();
+    await plugin.WhitelistProgressModel.update({ progress: 50 }, { where: { steamID: '1' } });
+
+    await plugin.generateWhitelistFile();
+    await waitFor(() => receiver.requests.length === 1);
+
+    const { body } = receiver.requests[0];
+    assert.equal(body.event, 'whitelist_lost');
+    assert.deepEqual(body.data, { steamID: '1', name: '1', progress: 50 });
+  });
+
+  it('retries server errors with backoff', async () => {
+    receiver = await startReceiver(() => (receiver.requests.length === 1 ? 500 : 204));
+    context = await mountPlugin({
+      ...MANUAL_TIMERS,
+      webhooks: [{ url: receiver.url }],
+      webhookRetrySeconds: 5
+    });
+    const { plugin } = context;
+    const delivery = mock.method(plugin, 'deliverWebhook');
+
+    plugin.emitWebhookEvent('error', { title: 'Test' });
+    await delivery.mock.calls[0].result;
+    assert.equal(plugin.webhookTimers.size, 1);
+
+    await advance(plugin, 5000);
+    await delivery.mock.calls[1].result;
+    assert.equal(receiver.requests.length, 2);
+    assert.equal(plugin.webhookTimers.size, 0);
+  });
+
+  it('does not retry a delivery that fails after unmount', async () => {
+    let release;
+    const held = new Promise((resolve) => (release = resolve));
+    receiver = await startReceiver(async () => {
+      await held;
+      return 500;
+    });
+    context = await mountPlugin({ ...MANUAL_TIMERS, webhooks: [{ url: receiver.url }] });
+    const { plugin } = context;
+    const delivery = mock.method(plugin, 'deliverWebhook');
+
+    plugin.emitWebhookEvent('error', { title: 'Test' });
+    await waitFor(() => receiver.requests.length === 1);
+    await context.cleanup();
+    context = null;
+    release();
+    await delivery.mock.calls[0].result;
+
+    assert.equal(plugin.webhookTimers.size, 0);
+  });
+
+  it('shortens webhook URLs to their origin for logs', async () => {
+    context = await mountPlugin({
+      ...MANUAL_TIMERS,
+      webhooks: [{ url: 'https://discord.com/api/webhooks/1234/secret-token' }]
+    });
+    const { plugin } = context;
+
+    assert.equal(
+      plugin.maskWebhookUrl('https://discord.com/api/webhooks/1234/secret-token'),
+      'https://discord.com/***'
+    );
+    assert.equal(plugin.maskWebhookUrl('http://127.0.0.1:8080/'), 'http://127.0.0.1:8080');
+    assert.equal(plugin.maskWebhookUrl('not a url'), '[invalid URL]');
+  });
+});
@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { MANUAL_TIMERS, mountPlugin } from './support/harness.js';
+
+/**
+ * Returns the generated `Admin=` lines of a whitelist file.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function adminLines(content) {
+  const generated = content.split('// Everything below is generated')[1];
+  return generated.split('\n').filter((line) => line.startsWith('Admin='));
+}
+
+describe('whitelist file', () => {
+  let context;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: Date.UTC(2026, 0, 5) });
+  });
+
+  afterEach(async () => {
+    if (context) await context.cleanup();
+    context = null;
+    mock.timers.reset();
+  });
+
+  /**
+   * Mounts the plugin and stores progress rows, keyed by SteamID.
+   */
+  async function setup(options, progress) {
+    context = await mountPlugin({ ...MANUAL_TIMERS, ...options });
+    await context.plugin.WhitelistProgressModel.bulkCreate(
+      Object.entries(progress).map(([steamID, value]) => ({ steamID, progress: value }))
+    );
+    return context.plugin;
+  }
+
+  it('lists players at or above the threshold under the whitelist group', async () => {
+    const plugin = await setup({ threshold: 100 }, { 1: 150, 2: 100, 3: 99.9 });
+
+    await plugin.generateWhitelistFile();
+    const content = await context.readWhitelist();
+
+    assert.match(content, /^Group=sl_whitelist:reserve$/m);
+    assert.deepEqual(adminLines(content).sort(), ['Admin=1:sl_whitelist', 'Admin=2:sl_whitelist']);
+  });
+
+  it('lists each player under their highest tier', async () => {
+    const plugin = await setup(
+      {
+        tiers: [
+          { name: 'Bronze', threshold: 100 },
+          { name: 'Gold', threshold: 300, group: 'sl_gold', permissions: 'reserve,teamchange' }
+        ]
+      },
+      { 1: 120, 2: 350 }
+    );
+
+    await plugin.generateWhitelistFile();
+    const content = await context.readWhitelist();
+
+    assert.match(content, /^Group=sl_whitelist_bronze:reserve$/m);
+    assert.match(content, /^Group=sl_gold:reserve,teamchange$/m);
+    assert.deepEqual(adminLines(content).sort(), [
+      'Admin=1:sl_whitelist_bronze',
+      'Admin=2:sl_gold'
+    ]);
+  });
+
+  it('keeps the manual section and moves unmanaged lines from older files into it', async () => {
+    const plugin = await setup({}, { 1: 150 });
+    const filePath = path.join(context.directory, plugin.options.managedWhitelistPath);
+    await fs.writeFile(
+      filePath,
+      'Group=vip:reserve\nAdmin=42:vip // friend\nAdmin=7:sl_whitelist\n'
+    );
+
+    await plugin.generateWhitelistFile();
+    const content = await context.readWhitelist();
+    const [manual] = content.split('// END MANUAL ENTRIES');
+
+    assert.match(manual, /^Group=vip:reserve$/m);
+    assert.match(manual, /^Admin=42:vip \/\/ friend$/m);
+    assert.doesNotMatch(content, /Admin=7:/, 'stale generated entries are dropped');
+    assert.deepEqual(adminLines(content), ['Admin=1:sl_whitelist']);
+
+    await plugin.generateWhitelistFile();
+    assert.equal(await context.readWhitelist(), content, 'regeneration is stable');
+  });
+
+  it('asks the server to reload only when the file changes', async () => {
+    const plugin = await setup({}, {});
+    await plugin.generateWhitelistFile();
+    const reloads = context.server.executed.length;
+
+    await plugin.generateWhitelistFile();
+    assert.equal(context.server.executed.length, reloads);
+
+    await plugin.WhitelistProgressModel.create({ steamID: '1', progress: 150 });
+    await plugin.generateWhitelistFile();
+    assert.equal(context.server.executed.length, reloads + 1);
+    assert.equal(context.server.executed[reloads], 'AdminReloadServerConfig');
+  });
+
+  it('forgets a pending regeneration on unmount, so a remount can schedule one', async () => {
+    const plugin = await setup({ regenerateDebounceSeconds: 15 }, {});
+    plugin.scheduleWhitelistRegeneration('before unmount');
+
+    await plugin.unmount();
+
+    assert.equal(plugin.regenerateTimeout, null);
+  });
+
+  it('writes through a separate temporary file on each write', async () => {
+    const plugin = await setup({}, {});
+    const filePath = path.join(context.directory, plugin.options.managedWhitelistPath);
+
+    await Promise.all([
+      plugin.writeFileAtomic(filePath, 'first\n'),
+      plugin.writeFileAtomic(filePath, 'second\n')
+    ]);
+
+    assert.match(await context.readWhitelist(), /^(first|second)\n$/);
+    const leftovers = await fs.readdir(path.dirname(filePath));
+    assert.deepEqual(
+      leftovers.filter((name) => name.endsWith('.tmp')),
+      []
+    );
+  });
+
+  it('lists players under their EOS ID as well where it is known', async () => {
+    const eosID = '0002a1b2c3d4e5f60718293a4b5c6d7e';
+    const plugin = await setup({}, { 1: 150, 2: 150 });
+    await plugin.WhitelistPlayerModel.create({ steamID: '1', name: 'Slacker', eosID });
+
+    await plugin.generateWhitelistFile();
+
+    assert.deepEqual(adminLines(await context.readWhitelist()).sort(), [
+      `Admin=${eosID}:sl_whitelist`,
+      'Admin=1:sl_whitelist',
+      'Admin=2:sl_whitelist'
+    ]);
+  });
+
+  it('adds name and progress comments with whitelistEntryComments', async () => {
+    const plugin = await setup({ whitelistEntryComments: true }, { 1: 150 });
+    await plugin.WhitelistPlayerModel.create({ steamID: '1', name: 'Slacker' });
+
+    await plugin.generateWhitelistFile();
+
+    assert.match(
+      adminLines(await context.readWhitelist())[0],
+      /^Admin=1:sl_whitelist \/\/ Slacker, 150 progress, since 2026-01-05$/
+    );
+  });
+});